@@ -0,0 +1,62 @@
+// Subscriber growth, reminder usage and CSV exports for /stats
+const { prayerOrder } = require('./prayerTimes');
+const { getPrayerSettings } = require('./settings');
+
+function getRemovalReason(actor) {
+  if (actor === 'system:blocked') return 'blocked';
+  if (actor === 'system:removed') return 'removed';
+  return 'stop';
+}
+
+// Subscribes, unsubscribes (and how many of those were blocked/removed chats) over the last `days` days
+function getGrowth(events, days, now = Date.now()) {
+  const since = now - days * 24 * 60 * 60 * 1000;
+  const growth = { joined: 0, left: 0, blocked: 0 };
+  for (const event of events) {
+    if (Date.parse(event.timestamp) < since) continue;
+    if (event.type === 'subscribe') {
+      growth.joined++;
+    } else {
+      growth.left++;
+      if (event.reason !== 'stop') growth.blocked++;
+    }
+  }
+  growth.net = growth.joined - growth.left;
+  return growth;
+}
+
+// How many prayer slots use each reminder offset, plus slots with no reminder or the adhan turned off
+function getReminderDistribution(subscribers) {
+  const distribution = { reminders: {}, noReminder: 0, adhanOff: 0 };
+  for (const subscriber of subscribers) {
+    for (const prayerKey of prayerOrder) {
+      const prayerSettings = getPrayerSettings(subscriber.settings, prayerKey);
+      if (!prayerSettings.adhan) distribution.adhanOff++;
+      if (prayerSettings.reminders.length === 0) distribution.noReminder++;
+      for (const minutes of prayerSettings.reminders) {
+        distribution.reminders[minutes] = (distribution.reminders[minutes] || 0) + 1;
+      }
+    }
+  }
+  return distribution;
+}
+
+// Text cells starting with = + - @, a tab or CR would run as a formula in Excel or Sheets, and usernames
+// and group titles are chosen by users, so they get a leading '. Numbers (negative chat ids) are left alone.
+function toCsv(header, rows) {
+  const escape = value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [header, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+function getSubscriberEventsCsv(events) {
+  return toCsv(
+    ['timestamp', 'type', 'chat_id', 'chat_type', 'reason'],
+    events.map(e => [e.timestamp, e.type, e.chatId, e.chatType, e.reason])
+  );
+}
+
+module.exports = { getRemovalReason, getGrowth, getReminderDistribution, toCsv, getSubscriberEventsCsv };
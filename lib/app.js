@@ -0,0 +1,202 @@
+const fs = require('fs');
+const cron = require('node-cron');
+const { createStorage } = require('./storage');
+const { systemClock, getLocalDateTime } = require('./time');
+const { countPrayerTimeEntries } = require('./prayerTimes');
+const { createStore } = require('./store');
+const { createScheduler, QUEUE_BUILD_TIME } = require('./scheduler');
+const { createBroadcaster } = require('./broadcast');
+const { registerBotHandlers } = require('./bot');
+const { createApi } = require('./http/api');
+
+// Wires the store, scheduler, bot handlers and HTTP API together. `bot` is a node-telegram-bot-api
+// instance (or anything with the same methods) and `clock` decides what "now" is.
+function createApp({ config, bot, clock = systemClock, storage }) {
+  const { DATA_PATH, TELEGRAM_MODE, TELEGRAM_WEBHOOK_URL, TELEGRAM_WEBHOOK_SECRET, TIMEZONE } = config;
+
+  // Ensure the data directory exists
+  if (!fs.existsSync(DATA_PATH)) {
+    fs.mkdirSync(DATA_PATH, { recursive: true });
+    console.log(`Created data directory at: ${DATA_PATH}`);
+  }
+
+  if (!storage) {
+    storage = createStorage({
+      backend: config.STORAGE_BACKEND,
+      dataPath: DATA_PATH,
+      sqlitePath: config.SQLITE_PATH,
+      defaultCityId: config.DEFAULT_CITY_ID,
+    });
+    console.log(`💾 Using ${storage.name} storage backend`);
+  }
+
+  // --- METRICS ---
+  const startedAt = clock.now().getTime();
+  const metrics = {
+    notificationsSent: 0,
+    notificationsFailed: 0,
+    notificationsDeduped: 0,
+    lastPollingErrorAt: 0,
+    webhookRegistered: false,
+    lastWebhookUpdateAt: 0,
+    lastPollingError: null,
+  };
+
+  const store = createStore({ config, storage, clock });
+  const scheduler = createScheduler({ config, store, bot, clock, metrics });
+  const broadcaster = createBroadcaster({ config, store, scheduler, bot, clock });
+
+  bot.on('polling_error', (error) => {
+    metrics.lastPollingErrorAt = clock.now().getTime();
+    metrics.lastPollingError = error.message;
+    console.error('❌ Telegram polling error:', error.message);
+  });
+
+  if (config.ADMIN_API_TOKENS.length === 0 && !config.ADMIN_API_HMAC_SECRET) {
+    console.warn('⚠️ Neither ADMIN_API_TOKENS nor ADMIN_API_HMAC_SECRET is set. Admin API endpoints are disabled.');
+  }
+
+  registerBotHandlers({ bot, store, scheduler, broadcaster, config, clock });
+
+  // Snapshot shared by the hourly health log, /health and /metrics
+  async function getSystemStatus() {
+    const now = clock.now();
+    const prayerTimes = await store.loadPrayerTimesCache();
+    const subscribers = await store.loadSubscribersCache();
+    const cities = await store.loadCities();
+    const cityStatus = {};
+    for (const city of cities) {
+      const rows = prayerTimes[city.id] || [];
+      const { date } = store.getCityDateTime(city, now);
+      cityStatus[city.id] = {
+        timezone: store.getCityTimezone(city),
+        date,
+        entries: rows.length,
+        todayAvailable: rows.some(p => p.date === date),
+        subscribers: subscribers.filter(s => store.getSubscriberCityId(s) === city.id).length
+      };
+    }
+    const { prayerCacheTimestamp, subscribersCacheTimestamp } = store.getCacheStatus();
+    return {
+      timestamp: now.toISOString(),
+      uptimeSeconds: Math.floor((now.getTime() - startedAt) / 1000),
+      timezone: TIMEZONE,
+      telegram: {
+        mode: TELEGRAM_MODE,
+        // Whether updates are being received: polling is running, or the webhook is registered
+        receiving: TELEGRAM_MODE === 'webhook' ? metrics.webhookRegistered : bot.isPolling(),
+        polling: bot.isPolling(),
+        lastPollingError: metrics.lastPollingError,
+        lastPollingErrorAt: metrics.lastPollingErrorAt ? new Date(metrics.lastPollingErrorAt).toISOString() : null,
+        webhookRegistered: metrics.webhookRegistered,
+        lastWebhookUpdateAt: metrics.lastWebhookUpdateAt ? new Date(metrics.lastWebhookUpdateAt).toISOString() : null
+      },
+      prayerTimes: {
+        date: getLocalDateTime(TIMEZONE, now).date,
+        entries: countPrayerTimeEntries(prayerTimes),
+        // Only cities that have subscribers need today's times
+        todayAvailable: Object.values(cityStatus).every(c => c.todayAvailable || c.subscribers === 0),
+        cities: cityStatus,
+        cacheRefreshedAt: prayerCacheTimestamp ? new Date(prayerCacheTimestamp).toISOString() : null
+      },
+      subscribers: {
+        count: subscribers.length,
+        cacheRefreshedAt: subscribersCacheTimestamp ? new Date(subscribersCacheTimestamp).toISOString() : null
+      },
+      queue: scheduler.getStatus(),
+      notifications: {
+        sent: metrics.notificationsSent,
+        failed: metrics.notificationsFailed,
+        deduped: metrics.notificationsDeduped
+      }
+    };
+  }
+
+  const app = createApi({ config, store, scheduler, bot, clock, metrics, getSystemStatus });
+
+  // --- NOTIFICATION PROCESSOR (CRON JOBS) ---
+  const tasks = [];
+
+  async function start() {
+    // Restore the saved queue (or build a new one) before the first tick
+    await store.load();
+    await scheduler.restore();
+
+    // Build the day's queue at QUEUE_BUILD_TIME in the configured timezone
+    const [buildHours, buildMinutes] = QUEUE_BUILD_TIME.split(':').map(Number);
+    tasks.push(cron.schedule(`${buildMinutes} ${buildHours} * * *`, scheduler.buildDailyQueue, { timezone: TIMEZONE }));
+    // Run every 30 seconds for better accuracy
+    tasks.push(cron.schedule('*/30 * * * * *', scheduler.tick));
+    // Health check - runs every hour
+    tasks.push(cron.schedule('0 * * * *', async () => {
+      try {
+        const status = await getSystemStatus();
+        console.log(`💗 Prayer notification system health check - ${status.timestamp}`);
+        console.log(`📊 System status:`);
+        console.log(`   🤖 Telegram ${status.telegram.mode}: ${status.telegram.receiving ? 'active' : 'stopped'}`);
+        console.log(`   📋 Prayer cache: ${status.prayerTimes.entries} entries (today ${status.prayerTimes.todayAvailable ? 'available' : 'MISSING'})`);
+        console.log(`   👥 Subscribers cache: ${status.subscribers.count} users`);
+        console.log(`   📬 Queue size: ${status.queue.size}`);
+        console.log(`   🔔 Sent notifications tracked: ${status.queue.sentTracked}`);
+        console.log(`   📈 Sent/failed/deduped: ${status.notifications.sent}/${status.notifications.failed}/${status.notifications.deduped}`);
+        console.log(`   🕒 Timezone: ${status.timezone}`);
+      } catch (error) {
+        console.error('❌ Error in health check:', error);
+      }
+    }));
+
+    // Resume a broadcast that was interrupted by a restart
+    broadcaster.runBroadcastWorker();
+
+    console.log('✅ Enhanced prayer notification system initialized');
+    console.log('⚡ Cron job scheduled to run every 30 seconds');
+    console.log('💾 Caching system active with 5-minute TTL');
+    console.log('🔄 Duplicate notification prevention enabled');
+    console.log('💗 Health checks scheduled every hour');
+  }
+
+  function stop() {
+    for (const task of tasks.splice(0)) task.stop();
+  }
+
+  // --- TELEGRAM UPDATES ---
+  async function registerWebhook() {
+    await bot.setWebHook(TELEGRAM_WEBHOOK_URL, { secret_token: TELEGRAM_WEBHOOK_SECRET });
+    metrics.webhookRegistered = true;
+    console.log(`🪝 Telegram webhook registered at ${TELEGRAM_WEBHOOK_URL}`);
+  }
+
+  // Telegram refuses getUpdates while a webhook is set, e.g. when running locally against a bot deployed in webhook mode
+  async function clearWebhookForPolling() {
+    const info = await bot.getWebHookInfo();
+    if (info && info.url) {
+      console.log(`🪝 Removing webhook ${info.url} so polling can receive updates`);
+      await bot.deleteWebHook();
+    }
+  }
+
+  async function connectTelegram() {
+    if (TELEGRAM_MODE === 'webhook') {
+      await registerWebhook();
+    } else {
+      await clearWebhookForPolling();
+      // index.js creates the bot without autoStart: updates are only fetched once start() has loaded the
+      // store and the webhook is gone
+      await bot.startPolling();
+      console.log('📡 Telegram polling started');
+    }
+  }
+
+  async function disconnectTelegram() {
+    if (TELEGRAM_MODE === 'polling') {
+      await bot.stopPolling();
+    } else if (config.TELEGRAM_WEBHOOK_DELETE_ON_SHUTDOWN) {
+      await bot.deleteWebHook();
+      console.log('🪝 Telegram webhook unregistered');
+    }
+  }
+
+  return { app, store, scheduler, broadcaster, metrics, getSystemStatus, start, stop, connectTelegram, disconnectTelegram };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,615 @@
+const { t, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../i18n');
+const { getLocalDateTime, addDays } = require('../time');
+const { prayerOrder, isValidTimeString } = require('../prayerTimes');
+const { getPausedUntil, getLanguage, getPrayerSettings } = require('../settings');
+const {
+  isValidHijriConfig, validateContentItem, getContentText, HIJRI_OFFSET_LIMIT, RAMADAN_MODES, ADMIN_ROLES,
+  CONTENT_TYPES, CONTENT_MAX_LENGTH, getCityName
+} = require('../store');
+const { getGrowth, getReminderDistribution, toCsv, getSubscriberEventsCsv } = require('../analytics');
+const { getBroadcastContent } = require('../broadcast');
+const { TEMPLATE_IDS, TEMPLATE_PLACEHOLDERS, getTemplateType, validateTemplate } = require('../templates');
+const { getSubscriberKind, countSubscribersByKind } = require('./helpers');
+
+// Admin-only commands: Hijri calendar, Jumu'ah times, broadcasts, stats, subscribers, admin roles,
+// the content library and message templates
+function registerAdminHandlers({ bot, store, scheduler, broadcaster, config, clock, helpers }) {
+  const {
+    appendAuditLog, readSubscriberEvents, loadSubscribersCache, getSubscriberCityId, updateHijriConfig,
+    formatHijriDate, isRamadanDate, isEnvOwner, getAdminRole, hasPermission, setAdminRole, removeAdmin,
+    upsertContentItem, removeContentItem, getTemplates, setTemplate, resetTemplate, previewTemplate, setConversation
+  } = store;
+  const { getChatLanguage, editInlineMenu } = helpers;
+  const { ADMIN_CHAT_ID, TIMEZONE } = config;
+
+  function getHijriAdminMessageAndKeyboard(lang) {
+      const appConfig = store.getAppConfig();
+      const { date } = getLocalDateTime(TIMEZONE, clock.now());
+      const modeName = mode => t(lang, `hijri.modes.${mode}`);
+      const message = t(lang, 'hijri.adminMenu', {
+          hijri: formatHijriDate(date, lang),
+          offset: `${appConfig.hijriOffset > 0 ? '+' : ''}${appConfig.hijriOffset}`,
+          mode: `${modeName(appConfig.ramadanMode)}${isRamadanDate(date) ? ' ✅' : ''}`
+      });
+      const offsets = [];
+      for (let offset = -HIJRI_OFFSET_LIMIT; offset <= HIJRI_OFFSET_LIMIT; offset++) {
+          const label = `${offset > 0 ? '+' : ''}${offset}`;
+          offsets.push({ text: offset === appConfig.hijriOffset ? `✅ ${label}` : label, callback_data: `hijri_offset_${offset}` });
+      }
+      const keyboard = [
+          offsets,
+          RAMADAN_MODES.map(mode => ({
+              text: mode === appConfig.ramadanMode ? `✅ ${modeName(mode)}` : modeName(mode),
+              callback_data: `hijri_mode_${mode}`
+          }))
+      ];
+      return { message, keyboard };
+  }
+
+  // Everyone sees today's Hijri date; the admin also gets the moon-sighting controls
+  bot.onText(/\/hijri/, async (msg) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      if (!hasPermission(chatId, 'hijri')) {
+          const { date } = getLocalDateTime(TIMEZONE, clock.now());
+          bot.sendMessage(chatId, t(lang, 'hijri.today', { hijri: formatHijriDate(date, lang) }));
+          return;
+      }
+      const { message, keyboard } = getHijriAdminMessageAndKeyboard(lang);
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+  });
+
+  async function handleHijriCallback(callbackQuery) {
+      const msg = callbackQuery.message;
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, callbackQuery.from);
+      if (!hasPermission(chatId, 'hijri')) {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.notAllowed') });
+          return;
+      }
+      const match = callbackQuery.data.match(/^hijri_(offset|mode)_(.+)$/);
+      const changes = {};
+      if (match && match[1] === 'offset') {
+          changes.hijriOffset = parseInt(match[2], 10);
+      } else if (match) {
+          changes.ramadanMode = match[2];
+      }
+      if (!match || !isValidHijriConfig(changes)) {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.invalidValue') });
+          return;
+      }
+      await updateHijriConfig(changes, `telegram:${chatId}`);
+      await scheduler.buildDailyQueue();
+      const { message, keyboard } = getHijriAdminMessageAndKeyboard(lang);
+      await editInlineMenu(msg, message, keyboard);
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.saved') });
+  }
+
+  async function handleBroadcastCallback(callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const lang = await getChatLanguage(chatId, callbackQuery.from);
+    const match = callbackQuery.data.match(/^broadcast_(confirm|cancel|format|stop)_([a-z0-9]+)$/);
+    if (!hasPermission(chatId, 'broadcast') || !match) {
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.notAllowed') });
+      return;
+    }
+    const [, action, id] = match;
+    const job = await broadcaster.loadBroadcastJob(id);
+    if (!job) {
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'broadcast.notFound') });
+      return;
+    }
+
+    if (action === 'stop') {
+      if (job.status === 'running' || job.status === 'queued') {
+        await broadcaster.stopBroadcast(job);
+        bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'broadcast.stopping') });
+      } else {
+        bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'broadcast.alreadyStopped') });
+      }
+      return;
+    }
+
+    if (job.status !== 'draft') {
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'broadcast.alreadyHandled') });
+      return;
+    }
+
+    if (action === 'confirm') {
+      const started = await broadcaster.startBroadcast(job);
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, started ? 'broadcast.started' : 'broadcast.alreadyHandled') });
+    } else if (action === 'cancel') {
+      job.status = 'cancelled';
+      await broadcaster.saveBroadcastJob(job);
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'broadcast.cancelled') });
+    } else if (action === 'format') {
+      job.content.parseMode = job.content.parseMode ? null : 'Markdown';
+      await broadcaster.saveBroadcastJob(job);
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, job.content.parseMode ? 'broadcast.markdownOn' : 'broadcast.markdownOff') });
+      await broadcaster.sendBroadcastPreview(job);
+    }
+  }
+
+  // Add broadcast handler
+  // The next message (text or photo) within BROADCAST_PROMPT_TTL_MS becomes the broadcast draft
+  const BROADCAST_PROMPT_TTL_MS = 10 * 60 * 1000;
+  bot.onText(/\/broadcast/, async (msg) => {
+    const chatId = msg.chat.id;
+    try {
+      const lang = await getChatLanguage(chatId, msg.from);
+      if (!hasPermission(chatId, 'broadcast')) {
+        bot.sendMessage(chatId, t(lang, 'common.notAllowed'));
+        return;
+      }
+      await setConversation(chatId, 'broadcast', null, BROADCAST_PROMPT_TTL_MS);
+      bot.sendMessage(chatId, t(lang, 'broadcast.prompt'));
+    } catch (error) {
+      console.error(`❌ Error handling /broadcast command for ${chatId}:`, error);
+      const lang = await getChatLanguage(chatId, msg.from).catch(() => DEFAULT_LANGUAGE);
+      bot.sendMessage(chatId, t(lang, 'common.error'));
+    }
+  });
+
+  // --- Stats, subscribers, admins & library ---
+  function getSubscribersCsv(subscribers) {
+    return toCsv(
+      ['chat_id', 'chat_type', 'username', 'city', 'language', 'reminders', 'adhan_off', 'paused_until'],
+      subscribers.map(s => [
+        s.chatId,
+        s.chatType || (s.chatId > 0 ? 'private' : 'group'),
+        s.username,
+        getSubscriberCityId(s),
+        getLanguage(s.settings),
+        prayerOrder.map(prayerKey => `${prayerKey}:${getPrayerSettings(s.settings, prayerKey).reminders.join('/')}`).join(' '),
+        prayerOrder.filter(prayerKey => !getPrayerSettings(s.settings, prayerKey).adhan).join(' '),
+        getPausedUntil(s.settings) ? s.settings.pausedUntil : ''
+      ])
+    );
+  }
+
+  const STATS_DELIVERY_DAYS = 7;
+  const STATS_GROWTH_PERIODS = [7, 30];
+
+  async function getStatsMessageAndKeyboard(chatId, lang) {
+    const subscribers = await loadSubscribersCache();
+    const events = await readSubscriberEvents();
+    const counts = countSubscribersByKind(subscribers);
+    const lines = [t(lang, 'admin.stats', { total: subscribers.length, users: counts.user, groups: counts.group, channels: counts.channel })];
+
+    lines.push('', t(lang, 'admin.growthTitle'));
+    for (const days of STATS_GROWTH_PERIODS) {
+      const growth = getGrowth(events, days, clock.now().getTime());
+      lines.push(t(lang, 'admin.growthLine', { ...growth, days, net: growth.net > 0 ? `+${growth.net}` : growth.net }));
+    }
+
+    lines.push('', t(lang, 'admin.deliveryTitle', { days: STATS_DELIVERY_DAYS }));
+    const today = getLocalDateTime(TIMEZONE, clock.now()).date;
+    for (let i = 0; i < STATS_DELIVERY_DAYS; i++) {
+      const date = addDays(today, -i);
+      const day = store.getDeliveryStats()[date];
+      const total = day ? day.sent + day.failed : 0;
+      lines.push(total === 0
+        ? t(lang, 'admin.deliveryNone', { date })
+        : t(lang, 'admin.deliveryLine', { date, sent: day.sent, failed: day.failed, rate: Math.round(day.sent / total * 1000) / 10 }));
+    }
+
+    const distribution = getReminderDistribution(subscribers);
+    lines.push('', t(lang, 'admin.remindersTitle'));
+    for (const minutes of Object.keys(distribution.reminders).map(Number).sort((a, b) => a - b)) {
+      lines.push(t(lang, 'admin.remindersLine', { minutes, count: distribution.reminders[minutes] }));
+    }
+    lines.push(t(lang, 'admin.remindersNone', { count: distribution.noReminder }));
+    lines.push(t(lang, 'admin.adhanOff', { count: distribution.adhanOff }));
+
+    const keyboard = [];
+    if (hasPermission(chatId, 'subscribers')) keyboard.push({ text: t(lang, 'admin.csvSubscribers'), callback_data: 'stats_csv_subscribers' });
+    keyboard.push({ text: t(lang, 'admin.csvEvents'), callback_data: 'stats_csv_events' });
+    return { message: lines.join('\n'), keyboard: [keyboard] };
+  }
+
+  bot.onText(/\/stats/, async (msg) => {
+    const chatId = msg.chat.id;
+    const lang = await getChatLanguage(chatId, msg.from);
+    if (!hasPermission(chatId, 'stats')) {
+      bot.sendMessage(chatId, t(lang, 'common.notAllowed'));
+      return;
+    }
+    try {
+      const { message, keyboard } = await getStatsMessageAndKeyboard(chatId, lang);
+      bot.sendMessage(chatId, message, { reply_markup: { inline_keyboard: keyboard } });
+    } catch (error) {
+      console.error('Error in /stats:', error);
+      bot.sendMessage(chatId, t(lang, 'admin.statsError'));
+    }
+  });
+
+  async function handleStatsCallback(callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const lang = await getChatLanguage(chatId, callbackQuery.from);
+    const exportSubscribers = callbackQuery.data === 'stats_csv_subscribers';
+    if (!hasPermission(chatId, exportSubscribers ? 'subscribers' : 'stats')) {
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.notAllowed') });
+      return;
+    }
+    const date = getLocalDateTime(TIMEZONE, clock.now()).date;
+    const csv = exportSubscribers
+      ? getSubscribersCsv(await loadSubscribersCache())
+      : getSubscriberEventsCsv(await readSubscriberEvents());
+    const filename = `${exportSubscribers ? 'subscribers' : 'subscriber-events'}-${date}.csv`;
+    bot.answerCallbackQuery(callbackQuery.id);
+    await bot.sendDocument(chatId, Buffer.from(csv, 'utf8'), {}, { filename, contentType: 'text/csv' });
+    await appendAuditLog(`telegram:${chatId}`, 'stats.export', `Exported ${filename}`, { filename });
+  }
+
+  // Add subscribers handler
+  // Telegram rejects messages over 4096 characters, so the list is split into pages with prev/next buttons
+  const SUBSCRIBERS_PAGE_MAX_LENGTH = 3800;
+
+  function getSubscribersPages(subscribers) {
+    const icons = { user: '👤', group: '👥', channel: '📢' };
+    const pages = [[]];
+    let length = 0;
+    for (const sub of subscribers) {
+      const line = `${icons[getSubscriberKind(sub)]} ${sub.username || 'Unknown'} (Chat ID: ${sub.chatId})`;
+      if (length + line.length + 1 > SUBSCRIBERS_PAGE_MAX_LENGTH && pages[pages.length - 1].length > 0) {
+        pages.push([]);
+        length = 0;
+      }
+      pages[pages.length - 1].push(line);
+      length += line.length + 1;
+    }
+    return pages;
+  }
+
+  async function getSubscribersMessageAndKeyboard(page, lang) {
+    const subscribers = await loadSubscribersCache();
+    const counts = countSubscribersByKind(subscribers);
+    const pages = getSubscribersPages(subscribers);
+    page = Math.min(Math.max(page, 0), pages.length - 1);
+    let message = t(lang, 'admin.subscribersTitle', { users: counts.user, groups: counts.group, channels: counts.channel });
+    if (pages.length > 1) message += ' ' + t(lang, 'admin.subscribersPage', { page: page + 1, pages: pages.length });
+    message += '\n' + pages[page].join('\n');
+
+    const buttons = [];
+    if (page > 0) buttons.push({ text: '⬅️', callback_data: `subs_page_${page - 1}` });
+    if (page < pages.length - 1) buttons.push({ text: '➡️', callback_data: `subs_page_${page + 1}` });
+    return { message, keyboard: buttons.length ? [buttons] : [] };
+  }
+
+  bot.onText(/\/subscribers/, async (msg) => {
+    const chatId = msg.chat.id;
+    const lang = await getChatLanguage(chatId, msg.from);
+    if (!hasPermission(chatId, 'subscribers')) {
+      bot.sendMessage(chatId, t(lang, 'common.notAllowed'));
+      return;
+    }
+    try {
+      const { message, keyboard } = await getSubscribersMessageAndKeyboard(0, lang);
+      bot.sendMessage(chatId, message, { reply_markup: { inline_keyboard: keyboard } });
+    } catch (error) {
+      console.error('Error in /subscribers:', error);
+      bot.sendMessage(chatId, t(lang, 'admin.subscribersError'));
+    }
+  });
+
+  async function handleSubscribersPageCallback(callbackQuery) {
+    const msg = callbackQuery.message;
+    const lang = await getChatLanguage(msg.chat.id, callbackQuery.from);
+    if (!hasPermission(msg.chat.id, 'subscribers')) {
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.notAllowed') });
+      return;
+    }
+    const page = parseInt(callbackQuery.data.replace('subs_page_', ''), 10) || 0;
+    const { message, keyboard } = await getSubscribersMessageAndKeyboard(page, lang);
+    // Usernames may contain Markdown characters, so the list is edited as plain text
+    try {
+      await bot.editMessageText(message, {
+        chat_id: msg.chat.id,
+        message_id: msg.message_id,
+        reply_markup: { inline_keyboard: keyboard }
+      });
+    } catch (e) {
+      if (!e.message.includes('message is not modified')) console.error("Error editing message:", e);
+    }
+    bot.answerCallbackQuery(callbackQuery.id);
+  }
+
+  // Admin roles: /admins list | /admins add <chatId|@username> <owner|admin|moderator> | /admins remove <chatId|@username>
+  function resolveAdminTarget(target, subscribers) {
+    if (/^\d+$/.test(target)) {
+      const chatId = Number(target);
+      const subscriber = subscribers.find(s => s.chatId === chatId);
+      return { chatId, name: subscriber && subscriber.username !== 'Unknown' ? subscriber.username : null };
+    }
+    const username = target.replace(/^@/, '').toLowerCase();
+    const subscriber = subscribers.find(s => s.chatType !== 'channel' && s.chatId > 0 && String(s.username).toLowerCase() === username);
+    return subscriber ? { chatId: subscriber.chatId, name: subscriber.username } : null;
+  }
+
+  function formatAdminList(lang) {
+    const entries = [];
+    if (ADMIN_CHAT_ID) entries.push({ chatId: ADMIN_CHAT_ID, role: 'owner', name: null, env: true });
+    entries.push(...store.getAdmins().filter(a => !isEnvOwner(a.chatId)));
+    const lines = entries.map(entry => t(lang, 'admins.entry', {
+      name: entry.name || entry.chatId,
+      chatId: entry.chatId,
+      role: t(lang, `admins.roles.${entry.role}`)
+    }) + (entry.env ? ` ${t(lang, 'admins.envOwnerMarker')}` : ''));
+    return [t(lang, 'admins.title'), ...lines].join('\n');
+  }
+
+  bot.onText(/\/admins(?:@\w+)?(?:\s+(.*))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const lang = await getChatLanguage(chatId, msg.from);
+    if (!hasPermission(chatId, 'admins')) {
+      bot.sendMessage(chatId, t(lang, 'common.notAllowed'));
+      return;
+    }
+    const [action = 'list', target, role] = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+    const actor = `telegram:${chatId}`;
+    try {
+      if (action === 'list') {
+        bot.sendMessage(chatId, formatAdminList(lang));
+        return;
+      }
+      if (!['add', 'remove'].includes(action) || !target || (action === 'add' && !role)) {
+        bot.sendMessage(chatId, t(lang, 'admins.usage'));
+        return;
+      }
+      const resolved = resolveAdminTarget(target, await loadSubscribersCache());
+      if (!resolved) {
+        bot.sendMessage(chatId, t(lang, 'admins.userNotFound', { target }));
+        return;
+      }
+      const name = resolved.name || String(resolved.chatId);
+      if (isEnvOwner(resolved.chatId)) {
+        bot.sendMessage(chatId, t(lang, 'admins.envOwner'));
+        return;
+      }
+      // Keep at least one owner who can manage the others
+      const otherOwners = store.getAdmins().filter(a => a.role === 'owner' && String(a.chatId) !== String(resolved.chatId));
+      const removesLastOwner = getAdminRole(resolved.chatId) === 'owner' && otherOwners.length === 0 && !ADMIN_CHAT_ID;
+
+      if (action === 'add') {
+        if (!ADMIN_ROLES.includes(role)) {
+          bot.sendMessage(chatId, t(lang, 'admins.invalidRole', { roles: ADMIN_ROLES.join(', ') }));
+          return;
+        }
+        if (removesLastOwner && role !== 'owner') {
+          bot.sendMessage(chatId, t(lang, 'admins.lastOwner'));
+          return;
+        }
+        await setAdminRole(resolved.chatId, role, resolved.name, actor);
+        bot.sendMessage(chatId, t(lang, 'admins.added', { name, role: t(lang, `admins.roles.${role}`) }));
+      } else {
+        if (removesLastOwner) {
+          bot.sendMessage(chatId, t(lang, 'admins.lastOwner'));
+          return;
+        }
+        const removed = await removeAdmin(resolved.chatId, actor);
+        bot.sendMessage(chatId, t(lang, removed ? 'admins.removed' : 'admins.notAdmin', { name }));
+      }
+    } catch (error) {
+      console.error('Error in /admins:', error);
+      bot.sendMessage(chatId, t(lang, 'admins.error'));
+    }
+  });
+
+  // Content library: /library list [type] | /library show <id> | /library add <type> [ar|fr|en] <text> | /library remove <id>
+  const LIBRARY_PREVIEW_LENGTH = 50;
+  const LIBRARY_LIST_MAX_LENGTH = 3800;
+
+  function formatContentList(type, lang) {
+    const items = store.getContentLibrary().filter(item => !type || item.type === type);
+    if (items.length === 0) return t(lang, 'library.empty');
+    const lines = [t(lang, 'library.title', { count: items.length })];
+    let length = lines[0].length;
+    for (const item of items) {
+      const text = getContentText(item, lang).replace(/\s+/g, ' ');
+      const line = t(lang, 'library.entry', {
+        id: item.id,
+        type: t(lang, `content.types.${item.type}`),
+        text: text.length > LIBRARY_PREVIEW_LENGTH ? `${text.slice(0, LIBRARY_PREVIEW_LENGTH)}…` : text
+      });
+      if (length + line.length + 1 > LIBRARY_LIST_MAX_LENGTH) {
+        lines.push('…');
+        break;
+      }
+      lines.push(line);
+      length += line.length + 1;
+    }
+    return lines.join('\n');
+  }
+
+  bot.onText(/\/library(?:@\w+)?(?:\s+([\s\S]*))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const lang = await getChatLanguage(chatId, msg.from);
+    if (!hasPermission(chatId, 'content')) {
+      bot.sendMessage(chatId, t(lang, 'common.notAllowed'));
+      return;
+    }
+    const args = (match[1] || '').trim();
+    const [action = 'list', argument] = args.split(/\s+/).filter(Boolean);
+    const actor = `telegram:${chatId}`;
+    try {
+      if (action === 'list' && (!argument || CONTENT_TYPES.includes(argument))) {
+        bot.sendMessage(chatId, formatContentList(argument, lang));
+        return;
+      }
+      if (action === 'show' && argument) {
+        const item = store.getContentLibrary().find(entry => entry.id === argument);
+        if (!item) {
+          bot.sendMessage(chatId, t(lang, 'library.notFound', { id: argument }));
+          return;
+        }
+        const texts = Object.entries(item.text).map(([textLang, text]) => `[${textLang}] ${text}`);
+        bot.sendMessage(chatId, [`${item.id} · ${t(lang, `content.types.${item.type}`)}`, ...texts, ...(item.source ? [`— ${item.source}`] : [])].join('\n\n'));
+        return;
+      }
+      if (action === 'remove' && argument) {
+        const removed = await removeContentItem(argument, actor);
+        bot.sendMessage(chatId, t(lang, removed ? 'library.removed' : 'library.notFound', { id: argument }));
+        if (removed) await scheduler.buildDailyQueue();
+        return;
+      }
+      // The text keeps its line breaks: everything after the type (and optional language)
+      const addMatch = /^add\s+(\S+)\s+(?:(ar|fr|en)\s+)?([\s\S]+)$/.exec(args);
+      if (action === 'add' && addMatch) {
+        const [, type, textLang = lang, text] = addMatch;
+        const errors = validateContentItem({ type, text: { [textLang]: text } });
+        if (errors.length > 0) {
+          bot.sendMessage(chatId, t(lang, 'library.invalid', { types: CONTENT_TYPES.join(', '), max: CONTENT_MAX_LENGTH }));
+          return;
+        }
+        const item = await upsertContentItem({ type, text: { [textLang]: text } }, actor);
+        bot.sendMessage(chatId, t(lang, 'library.added', { id: item.id, type: t(lang, `content.types.${type}`) }));
+        await scheduler.buildDailyQueue();
+        return;
+      }
+      bot.sendMessage(chatId, t(lang, 'library.usage', { types: CONTENT_TYPES.join('|') }));
+    } catch (error) {
+      console.error('Error in /library:', error);
+      bot.sendMessage(chatId, t(lang, 'library.error'));
+    }
+  });
+
+  // Jumu'ah times: /jumuahtime lists them, /jumuahtime <HH:mm|dhuhr> [city id] sets one (default city by default)
+  bot.onText(/\/jumuahtime(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const lang = await getChatLanguage(chatId, msg.from);
+    if (!hasPermission(chatId, 'timetable')) {
+      bot.sendMessage(chatId, t(lang, 'common.notAllowed'));
+      return;
+    }
+    const [, time, cityId = config.DEFAULT_CITY_ID] = match;
+    try {
+      if (!time) {
+        const cities = await store.loadCities();
+        const lines = cities.map(city => t(lang, 'jumuahAdmin.entry', {
+          city: getCityName(city, lang),
+          id: city.id,
+          time: city.jumuahTime || t(lang, 'jumuah.dhuhrTime')
+        }));
+        bot.sendMessage(chatId, [t(lang, 'jumuahAdmin.title'), ...lines, '', t(lang, 'jumuahAdmin.usage')].join('\n'));
+        return;
+      }
+      if (time !== 'dhuhr' && !isValidTimeString(time)) {
+        bot.sendMessage(chatId, t(lang, 'jumuahAdmin.usage'));
+        return;
+      }
+      const city = await store.setCityJumuahTime(cityId, time === 'dhuhr' ? null : time, `telegram:${chatId}`);
+      if (!city) {
+        bot.sendMessage(chatId, t(lang, 'jumuahAdmin.unknownCity', { id: cityId }));
+        return;
+      }
+      bot.sendMessage(chatId, city.jumuahTime
+        ? t(lang, 'jumuahAdmin.set', { city: getCityName(city, lang), time: city.jumuahTime })
+        : t(lang, 'jumuahAdmin.reset', { city: getCityName(city, lang) }));
+      await scheduler.buildDailyQueue();
+    } catch (error) {
+      console.error('Error in /jumuahtime:', error);
+      bot.sendMessage(chatId, t(lang, 'jumuahAdmin.error'));
+    }
+  });
+
+  // Message templates: /templates list | /templates show <id> | /templates set <id> [ar|fr|en] <text>
+  // | /templates preview <id> [ar|fr|en] | /templates reset <id> [ar|fr|en]
+  function formatTemplateList(lang) {
+    const entries = Object.entries(getTemplates());
+    if (entries.length === 0) return `${t(lang, 'templates.title')}\n\n${t(lang, 'templates.none')}`;
+    const lines = entries.map(([id, entry]) => t(lang, 'templates.entry', { id, languages: Object.keys(entry.text).join(', ') }));
+    return [t(lang, 'templates.title'), '', ...lines].join('\n');
+  }
+
+  function formatTemplate(id, lang) {
+    const entry = getTemplates()[id];
+    const texts = [];
+    for (const textLang of SUPPORTED_LANGUAGES) {
+      const text = entry && entry.text[textLang];
+      texts.push(text ? `[${textLang}] ${text}` : `[${textLang}] ${t(lang, 'templates.builtIn')} ${t(textLang, `notifications.${getTemplateType(id)}`)}`);
+    }
+    const placeholders = TEMPLATE_PLACEHOLDERS[getTemplateType(id)].map(name => `{${name}}`).join(' ');
+    return [`📝 ${id}`, ...texts, placeholders].join('\n\n');
+  }
+
+  bot.onText(/\/templates(?:@\w+)?(?:\s+([\s\S]*))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const lang = await getChatLanguage(chatId, msg.from);
+    if (!hasPermission(chatId, 'templates')) {
+      bot.sendMessage(chatId, t(lang, 'common.notAllowed'));
+      return;
+    }
+    const args = (match[1] || '').trim();
+    const [action = 'list', id, argument] = args.split(/\s+/).filter(Boolean);
+    const actor = `telegram:${chatId}`;
+    try {
+      if (action === 'list') {
+        bot.sendMessage(chatId, formatTemplateList(lang));
+        return;
+      }
+      if (['show', 'set', 'preview', 'reset'].includes(action) && id && !TEMPLATE_IDS.includes(id)) {
+        bot.sendMessage(chatId, t(lang, 'templates.unknown', { id, ids: TEMPLATE_IDS.join(', ') }));
+        return;
+      }
+      if (action === 'show' && id) {
+        bot.sendMessage(chatId, formatTemplate(id, lang));
+        return;
+      }
+      if (action === 'preview' && id && (!argument || SUPPORTED_LANGUAGES.includes(argument))) {
+        const previewLang = argument || lang;
+        bot.sendMessage(chatId, t(lang, 'templates.preview', { id, lang: previewLang, preview: await previewTemplate(id, previewLang) }));
+        return;
+      }
+      if (action === 'reset' && id && (!argument || SUPPORTED_LANGUAGES.includes(argument))) {
+        const reset = await resetTemplate(id, argument, actor);
+        bot.sendMessage(chatId, t(lang, reset ? 'templates.reset' : 'templates.notSet', { id }));
+        if (reset) await scheduler.buildDailyQueue();
+        return;
+      }
+      // The text keeps its line breaks: everything after the id (and optional language)
+      const setMatch = /^set\s+(\S+)\s+(?:(ar|fr|en)\s+)?([\s\S]+)$/.exec(args);
+      if (action === 'set' && setMatch) {
+        const [, , textLang = lang, text] = setMatch;
+        const errors = validateTemplate(id, { [textLang]: text });
+        if (errors.length > 0) {
+          bot.sendMessage(chatId, t(lang, 'templates.invalid', { errors: errors.join(' ') }));
+          return;
+        }
+        await setTemplate(id, { [textLang]: text }, actor);
+        bot.sendMessage(chatId, t(lang, 'templates.saved', { id, lang: textLang, preview: await previewTemplate(id, textLang) }));
+        await scheduler.buildDailyQueue();
+        return;
+      }
+      const placeholders = TEMPLATE_PLACEHOLDERS.reminder.map(name => `{${name}}`).join(' ');
+      bot.sendMessage(chatId, t(lang, 'templates.usage', { placeholders }));
+    } catch (error) {
+      console.error('Error in /templates:', error);
+      bot.sendMessage(chatId, t(lang, 'templates.error'));
+    }
+  });
+
+  // The message an admin sends after /broadcast becomes a draft with a preview
+  async function handleBroadcastMessage(msg) {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      const content = getBroadcastContent(msg);
+      if (!content) {
+          bot.sendMessage(chatId, t(lang, 'broadcast.unsupported'));
+          return;
+      }
+      const job = await broadcaster.createBroadcastDraft(chatId, content, lang);
+      await broadcaster.sendBroadcastPreview(job);
+  }
+
+  return {
+    callbacks: {
+      broadcast_: handleBroadcastCallback,
+      hijri_: handleHijriCallback,
+      stats_csv_: handleStatsCallback,
+      subs_page_: handleSubscribersPageCallback,
+    },
+    handleBroadcastMessage,
+  };
+}
+
+module.exports = { registerAdminHandlers };
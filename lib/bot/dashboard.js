@@ -0,0 +1,127 @@
+const { t } = require('../i18n');
+const { getLocalDateTime } = require('../time');
+const { prayerOrder } = require('../prayerTimes');
+const {
+  getLanguage, getPrayerName, getPrayerSettings, getRamadanSettings, getJumuahSettings, getContentSettings,
+  getQuietHoursSettings, getPausedUntil
+} = require('../settings');
+const { getCityName, CONTENT_TYPES } = require('../store');
+const { buttonOrCommand } = require('./helpers');
+const { formatPrayerSettings } = require('./preferences');
+
+// Buttons of the dashboard, by row. Each opens the menu of the same name in place of the dashboard.
+const DASHBOARD_MENU_ROWS = [['reminders', 'city'], ['language', 'ramadan'], ['jumuah', 'content'], ['quiet']];
+
+// /settings: every preference of the chat on one screen, with buttons to the menus that change them.
+// `menus` maps a name to (subscriber) => { message, keyboard }, from the subscription and preference handlers.
+function registerDashboardHandlers({ bot, store, helpers, menus }) {
+  const { loadSubscribersCache, getSubscriberCityId, getCity, getCityTimezone } = store;
+  const { getChatLanguage, editInlineMenu } = helpers;
+
+  async function getDashboardMessageAndKeyboard(user) {
+    const { settings } = user;
+    const lang = getLanguage(settings);
+    const city = await getCity(getSubscriberCityId(user));
+    const ramadan = getRamadanSettings(settings);
+    const jumuah = getJumuahSettings(settings);
+    const content = getContentSettings(settings);
+    const quietHours = getQuietHoursSettings(settings);
+    const pausedUntil = getPausedUntil(settings);
+    const list = items => (items.length > 0 ? items.join(t(lang, 'common.listSeparator')) : t(lang, 'settings.none'));
+
+    let pauseLine = t(lang, 'quiet.notPaused');
+    if (pausedUntil) {
+      const { date, time } = getLocalDateTime(getCityTimezone(city), new Date(pausedUntil));
+      pauseLine = t(lang, 'quiet.pausedUntil', { date, time });
+    }
+    const sections = [
+      [t(lang, 'settings.title')],
+      [
+        t(lang, 'settings.city', { city: getCityName(city, lang) }),
+        t(lang, 'settings.language', { language: t(lang, 'language.name') })
+      ],
+      [
+        t(lang, 'settings.prayers'),
+        ...prayerOrder.map(prayerKey => `${getPrayerName(prayerKey, lang)}: ${formatPrayerSettings(getPrayerSettings(settings, prayerKey), lang)}`)
+      ],
+      [
+        ramadan.suhoor ? t(lang, 'ramadan.suhoorOn', { minutes: ramadan.suhoorMinutes }) : t(lang, 'ramadan.suhoorOff'),
+        t(lang, ramadan.iftar ? 'ramadan.iftarOn' : 'ramadan.iftarOff')
+      ],
+      [
+        t(lang, jumuah.adhan ? 'jumuah.adhanOn' : 'jumuah.adhanOff'),
+        jumuah.khutbah ? t(lang, 'jumuah.khutbahOn', { minutes: jumuah.khutbahMinutes }) : t(lang, 'jumuah.khutbahOff'),
+        jumuah.kahf ? t(lang, 'jumuah.kahfOn', { when: t(lang, `jumuah.when.${jumuah.kahfWhen}`) }) : t(lang, 'jumuah.kahfOff')
+      ],
+      [t(lang, 'settings.content', { items: list(CONTENT_TYPES.filter(type => content[type]).map(type => t(lang, `content.types.${type}`))) })],
+      [
+        pauseLine,
+        quietHours.enabled ? t(lang, 'quiet.hoursOn', { start: quietHours.start, end: quietHours.end }) : t(lang, 'quiet.hoursOff'),
+        t(lang, 'quiet.silentPrayers', {
+          prayers: list(prayerOrder.filter(prayerKey => getPrayerSettings(settings, prayerKey).silent).map(prayerKey => getPrayerName(prayerKey, lang)))
+        })
+      ]
+    ];
+    const message = sections.map(lines => lines.join('\n')).join('\n\n');
+
+    const keyboard = DASHBOARD_MENU_ROWS.map(row => row.map(name => ({
+      text: t(lang, `settings.buttons.${name}`),
+      callback_data: `settings_open_${name}`
+    })));
+    keyboard.push([
+      { text: t(lang, 'settings.buttons.myData'), callback_data: 'mydata_export' },
+      { text: t(lang, 'settings.buttons.deleteData'), callback_data: 'mydata_delete' }
+    ]);
+    return { message, keyboard };
+  }
+
+  bot.onText(buttonOrCommand('keyboard.settings', 'settings'), async (msg) => {
+    const chatId = msg.chat.id;
+    const lang = await getChatLanguage(chatId, msg.from);
+    try {
+      const subscribers = await loadSubscribersCache();
+      const user = subscribers.find(s => s.chatId === chatId);
+      if (!user) {
+        bot.sendMessage(chatId, t(lang, 'common.notSubscribed'));
+        return;
+      }
+      const { message, keyboard } = await getDashboardMessageAndKeyboard(user);
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+    } catch (error) {
+      console.error(`❌ Error handling /settings command for ${chatId}:`, error);
+      bot.sendMessage(chatId, t(lang, 'settings.error'));
+    }
+  });
+
+  // settings_menu goes back to the dashboard, settings_open_<name> opens a menu
+  async function handleSettingsCallback(callbackQuery) {
+    const msg = callbackQuery.message;
+    const chatId = msg.chat.id;
+    const subscribers = await loadSubscribersCache();
+    const user = subscribers.find(s => s.chatId === chatId);
+    if (!user) {
+      const lang = await getChatLanguage(chatId, callbackQuery.from);
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.subscriptionNotFound') });
+      return;
+    }
+    const name = callbackQuery.data.replace('settings_open_', '');
+    let menu;
+    if (callbackQuery.data === 'settings_menu') {
+      menu = getDashboardMessageAndKeyboard(user);
+    } else if (Object.hasOwn(menus, name)) {
+      menu = menus[name](user);
+    } else {
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(getLanguage(user.settings), 'common.invalidValue') });
+      return;
+    }
+    const { message, keyboard } = await menu;
+    await editInlineMenu(msg, message, keyboard);
+    bot.answerCallbackQuery(callbackQuery.id);
+  }
+
+  return {
+    callbacks: { settings_: handleSettingsCallback },
+  };
+}
+
+module.exports = { registerDashboardHandlers };
@@ -0,0 +1,128 @@
+const { t, allTranslations, resolveLanguage } = require('../i18n');
+const { getLanguage } = require('../settings');
+
+// --- TELEGRAM BOT LOGIC ---
+// Reply-keyboard labels follow the subscriber's language; the onText handlers match the labels of every language
+// (including keyboard.city, which older keyboards still show)
+const KEYBOARD_LABEL_KEYS = ['keyboard.today', 'keyboard.reminders', 'keyboard.week', 'keyboard.city', 'keyboard.settings'];
+
+function getMainKeyboard(lang) {
+  return {
+    keyboard: [
+      [{ text: t(lang, 'keyboard.today') }, { text: t(lang, 'keyboard.week') }],
+      [{ text: t(lang, 'keyboard.reminders') }, { text: t(lang, 'keyboard.settings') }]
+    ],
+    resize_keyboard: true
+  };
+}
+
+function isKeyboardButton(text) {
+  return KEYBOARD_LABEL_KEYS.some(key => allTranslations(key).includes(text));
+}
+
+// Last row of the settings menus, back to the /settings dashboard
+function getSettingsRow(lang) {
+  return [{ text: t(lang, 'settings.all'), callback_data: 'settings_menu' }];
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buttonOrCommand(labelKey, command) {
+  return new RegExp([...allTranslations(labelKey).map(escapeRegex), `\\/${command}`].join('|'));
+}
+
+// --- Groups & Channels ---
+// Anyone can read prayer times in a group, but only its admins may change the subscription.
+// Channel posts have no sender, and only channel admins can post, so they always qualify.
+const CHAT_ADMIN_STATUSES = ['creator', 'administrator'];
+
+// Reply keyboards are per-user UI: they would be shown to every member of a group and channels reject them
+function getChatKeyboard(chat, lang) {
+  return chat.type === 'private' ? getMainKeyboard(lang) : undefined;
+}
+
+// 'user', 'group' or 'channel'. Subscribers from before chatType was stored are inferred from the id.
+function getSubscriberKind(subscriber) {
+  const chatType = subscriber.chatType || (subscriber.chatId > 0 ? 'private' : 'group');
+  if (chatType === 'private') return 'user';
+  return chatType === 'channel' ? 'channel' : 'group';
+}
+
+function countSubscribersByKind(subscribers) {
+  const counts = { user: 0, group: 0, channel: 0 };
+  for (const subscriber of subscribers) {
+    counts[getSubscriberKind(subscriber)]++;
+  }
+  return counts;
+}
+
+// Helpers shared by the handlers that need the bot client or the store
+function createBotHelpers({ bot, store, scheduler }) {
+  // The subscriber's language, or Telegram's language_code for chats that are not subscribed
+  async function getChatLanguage(chatId, from) {
+    const subscribers = await store.loadSubscribersCache();
+    const user = subscribers.find(s => s.chatId === chatId);
+    return user ? getLanguage(user.settings) : resolveLanguage(from && from.language_code);
+  }
+
+  async function canManageChat(chat, from, senderChat) {
+    if (chat.type === 'private') return true;
+    // Anonymous group admins post as the group itself
+    if (senderChat && senderChat.id === chat.id) return true;
+    // Only channel admins can post, and channel posts carry no `from`. Callback queries on a channel
+    // post do, and come from any viewer, so they get the same check as in groups.
+    if (!from) return chat.type === 'channel';
+    try {
+      const member = await bot.getChatMember(chat.id, from.id);
+      return CHAT_ADMIN_STATUSES.includes(member.status);
+    } catch (error) {
+      console.error(`❌ Could not check admin status of ${from.id} in ${chat.id}:`, error.message);
+      return false;
+    }
+  }
+
+  async function getChatCityId(chatId) {
+    const subscribers = await store.loadSubscribersCache();
+    return store.getSubscriberCityId(subscribers.find(s => s.chatId === chatId));
+  }
+
+  // Applies `update` to a subscriber's settings, then saves, audits and reschedules.
+  // Returns the updated subscriber, or null when the chat is not subscribed.
+  async function updateSubscriberSettings(chatId, summary, update) {
+    const user = await store.updateSubscriber(chatId, subscriber => update(subscriber.settings));
+    if (!user) {
+      return null;
+    }
+    await store.appendAuditLog(`telegram:${chatId}`, 'subscriber.settings', `${summary} for ${chatId}`, { chatId, settings: user.settings });
+    await scheduler.rescheduleUserNotifications(chatId);
+    return user;
+  }
+
+  async function editInlineMenu(msg, message, keyboard) {
+    try {
+      await bot.editMessageText(message, {
+        chat_id: msg.chat.id,
+        message_id: msg.message_id,
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: keyboard }
+      });
+    } catch (e) {
+      if (!e.message.includes('message is not modified')) console.error("Error editing message:", e);
+    }
+  }
+
+  return { getChatLanguage, canManageChat, getChatCityId, updateSubscriberSettings, editInlineMenu };
+}
+
+module.exports = {
+  getMainKeyboard,
+  isKeyboardButton,
+  getSettingsRow,
+  buttonOrCommand,
+  getChatKeyboard,
+  getSubscriberKind,
+  countSubscribersByKind,
+  createBotHelpers,
+};
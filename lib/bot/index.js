@@ -0,0 +1,123 @@
+const { t, DEFAULT_LANGUAGE } = require('../i18n');
+const { getTimetableFormat } = require('../timetableImport');
+const { createBotHelpers, isKeyboardButton } = require('./helpers');
+const { registerSubscriptionHandlers } = require('./subscription');
+const { registerViewHandlers } = require('./views');
+const { registerPreferenceHandlers } = require('./preferences');
+const { registerAdminHandlers } = require('./admin');
+const { registerTimetableUploadHandlers } = require('./timetableUpload');
+const { registerDashboardHandlers } = require('./dashboard');
+
+// Menus that change the chat's subscription; in groups only admins may use them
+const SETTINGS_CALLBACK_PREFIXES = ['reminder_', 'ramadan_', 'jumuah_', 'content_', 'quiet_', 'lang_set_', 'city_set_', 'mydata_'];
+
+// Registers every command, callback and message handler on `bot`
+function registerBotHandlers({ bot, store, scheduler, broadcaster, config, clock }) {
+  const helpers = createBotHelpers({ bot, store, scheduler });
+  const { getChatLanguage, canManageChat } = helpers;
+  const { getConversation, clearConversation } = store;
+  const ctx = { bot, store, scheduler, broadcaster, config, clock, helpers };
+
+  // Every command handler below is wrapped once: what it does not catch itself (the language lookup
+  // before its own try, say) is logged and answered here instead of ending the process as an unhandled rejection
+  const onText = bot.onText.bind(bot);
+  bot.onText = (regexp, handler) => onText(regexp, async (msg, match) => {
+    try {
+      await handler(msg, match);
+    } catch (error) {
+      console.error(`❌ Error handling command "${msg.text}" for ${msg.chat.id}:`, error);
+      const lang = await getChatLanguage(msg.chat.id, msg.from).catch(() => DEFAULT_LANGUAGE);
+      bot.sendMessage(msg.chat.id, t(lang, 'common.error')).catch(() => {});
+    }
+  });
+
+  const subscription = registerSubscriptionHandlers(ctx);
+  const views = registerViewHandlers(ctx);
+  const preferences = registerPreferenceHandlers(ctx);
+  const admin = registerAdminHandlers(ctx);
+  const timetableUpload = registerTimetableUploadHandlers(ctx);
+  const dashboard = registerDashboardHandlers({ ...ctx, menus: { ...subscription.menus, ...preferences.menus } });
+  const callbacks = {
+    ...subscription.callbacks,
+    ...views.callbacks,
+    ...preferences.callbacks,
+    ...admin.callbacks,
+    ...timetableUpload.callbacks,
+    ...dashboard.callbacks,
+  };
+
+  // Commands (and typed reminder values) posted in a channel arrive as channel posts, which onText does not see
+  bot.on('channel_post', (post) => {
+    if (post.text && (post.text.startsWith('/') || getConversation(post.chat.id, 'reminderValue'))) {
+      bot.processUpdate({ update_id: 0, message: post });
+    }
+  });
+
+  bot.on('callback_query', async (callbackQuery) => {
+    const msg = callbackQuery.message;
+    const chatId = msg.chat.id;
+    const data = callbackQuery.data;
+
+    try {
+      if (SETTINGS_CALLBACK_PREFIXES.some(prefix => data.startsWith(prefix)) && !await canManageChat(msg.chat, callbackQuery.from)) {
+        const lang = await getChatLanguage(chatId, callbackQuery.from);
+        bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'groups.adminsOnly'), show_alert: true });
+        return;
+      }
+      const prefix = Object.keys(callbacks).find(p => data.startsWith(p));
+      if (prefix) {
+        await callbacks[prefix](callbackQuery);
+      }
+    } catch (error) {
+      console.error(`❌ Error handling callback "${data}" for ${chatId}:`, error);
+      const lang = await getChatLanguage(chatId, callbackQuery.from).catch(() => DEFAULT_LANGUAGE);
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.callbackError') });
+    }
+  });
+
+  // This handler must be after all bot.onText handlers
+  bot.on('message', async (msg) => {
+    const chatId = msg.chat.id;
+
+    try {
+      // Broadcast content may be a photo, so this runs before the text-only checks below
+      if (getConversation(chatId, 'broadcast') && !(msg.text && msg.text.startsWith('/'))) {
+        await clearConversation(chatId);
+        await admin.handleBroadcastMessage(msg);
+        return;
+      }
+
+      if (msg.document && getTimetableFormat(msg.document.file_name) && store.hasPermission(chatId, 'timetable')) {
+        await timetableUpload.handleTimetableUpload(msg);
+        return;
+      }
+
+      // Ignore messages that don't have text
+      if (!msg.text) {
+        return;
+      }
+
+      // Commands and reply-keyboard buttons are handled by onText, and abandon a prompt waiting for a typed
+      // reply. A timetable preview waits for its own buttons.
+      if (msg.text.startsWith('/') || isKeyboardButton(msg.text)) {
+        const state = getConversation(chatId);
+        if (state && state.type !== 'timetableImport') await clearConversation(chatId);
+        return;
+      }
+
+      const reminderPrompt = getConversation(chatId, 'reminderValue');
+      if (reminderPrompt && await canManageChat(msg.chat, msg.from, msg.sender_chat)) {
+        await clearConversation(chatId);
+        await preferences.handleReminderValue(msg, reminderPrompt.data);
+      }
+    } catch (error) {
+      console.error(`❌ Error handling message from ${chatId}:`, error);
+      const lang = await getChatLanguage(chatId, msg.from).catch(() => DEFAULT_LANGUAGE);
+      bot.sendMessage(chatId, t(lang, 'common.error'));
+    }
+  });
+
+  console.log('Telegram bot is running and listening for commands...');
+}
+
+module.exports = { registerBotHandlers };
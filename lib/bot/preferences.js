@@ -0,0 +1,600 @@
+const { t, resolveLanguage } = require('../i18n');
+const { getLocalDateTime } = require('../time');
+const { prayerOrder } = require('../prayerTimes');
+const {
+  MIN_REMINDER_MINUTES, MAX_REMINDER_MINUTES, MAX_REMINDERS_PER_PRAYER, SUHOOR_PRESETS, EVENING_ADHKAR_PRAYERS,
+  KHUTBAH_PRESETS, KAHF_SCHEDULE, QUIET_START_PRESETS, QUIET_END_PRESETS, PAUSE_DAY_PRESETS, createPrayerSettings,
+  getRamadanSettings, getContentSettings, getJumuahSettings, getQuietHoursSettings, getPausedUntil, getLanguage, getPrayerName, getPrayerSettings
+} = require('../settings');
+const { getCityName, CONTENT_TYPES } = require('../store');
+const { buttonOrCommand, getSettingsRow } = require('./helpers');
+
+// How long the bot waits for the minutes after "Enter a value"
+const REMINDER_PROMPT_TTL_MS = 10 * 60 * 1000;
+
+// "🔔 ⏰ 10, 5 min": the adhan message on or off, and the reminders before it
+function formatPrayerSettings(prayerSettings, lang) {
+  const adhan = prayerSettings.adhan ? '🔔' : '🔕';
+  const reminders = prayerSettings.reminders.length > 0
+    ? `⏰ ${t(lang, 'common.minutesShort', { minutes: prayerSettings.reminders.join(t(lang, 'common.listSeparator')) })}`
+    : `⏰ ${t(lang, 'reminders.none')}`;
+  return `${adhan} ${reminders}`;
+}
+
+// Per-chat notification preferences: reminders, Ramadan, Jumu'ah, daily content and do-not-disturb
+function registerPreferenceHandlers({ bot, store, clock, helpers }) {
+  const {
+    loadSubscribersCache, getCity, getCityTimezone, getCityDateTime, formatHijriDate, isRamadanDate, setConversation
+  } = store;
+  const { getChatLanguage, updateSubscriberSettings, editInlineMenu } = helpers;
+
+  // --- Ramadan ---
+  async function getRamadanMessageAndKeyboard(settings) {
+      const lang = getLanguage(settings);
+      const ramadan = getRamadanSettings(settings);
+      const { date } = getCityDateTime(await getCity(settings.city));
+      let message = t(lang, 'ramadan.title', { hijri: formatHijriDate(date, lang) }) + '\n';
+      message += (isRamadanDate(date) ? t(lang, 'ramadan.active') : t(lang, 'ramadan.inactive')) + '\n\n';
+      message += (ramadan.suhoor ? t(lang, 'ramadan.suhoorOn', { minutes: ramadan.suhoorMinutes }) : t(lang, 'ramadan.suhoorOff')) + '\n';
+      message += ramadan.iftar ? t(lang, 'ramadan.iftarOn') : t(lang, 'ramadan.iftarOff');
+      const keyboard = [
+          [{ text: t(lang, ramadan.suhoor ? 'ramadan.disableSuhoor' : 'ramadan.enableSuhoor'), callback_data: 'ramadan_suhoor' }],
+          SUHOOR_PRESETS.map(minutes => ({
+              text: ramadan.suhoor && minutes === ramadan.suhoorMinutes
+                  ? `✅ ${t(lang, 'common.minutesShort', { minutes })}`
+                  : t(lang, 'common.minutesShort', { minutes }),
+              callback_data: `ramadan_suhoor_${minutes}`
+          })),
+          [{ text: t(lang, ramadan.iftar ? 'ramadan.disableIftar' : 'ramadan.enableIftar'), callback_data: 'ramadan_iftar' }],
+          getSettingsRow(lang)
+      ];
+      return { message, keyboard };
+  }
+
+  bot.onText(/\/ramadan/, async (msg) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      try {
+          const subscribers = await loadSubscribersCache();
+          const user = subscribers.find(s => s.chatId === chatId);
+          if (!user) {
+              bot.sendMessage(chatId, t(lang, 'common.notSubscribed'));
+              return;
+          }
+          const { message, keyboard } = await getRamadanMessageAndKeyboard(user.settings);
+          bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+      } catch (error) {
+          console.error(`❌ Error handling /ramadan command for ${chatId}:`, error);
+          bot.sendMessage(chatId, t(lang, 'ramadan.error'));
+      }
+  });
+
+  async function handleRamadanCallback(callbackQuery) {
+      const msg = callbackQuery.message;
+      const chatId = msg.chat.id;
+      const data = callbackQuery.data;
+      const lang = await getChatLanguage(chatId, callbackQuery.from);
+      let summary;
+      let update;
+      if (data === 'ramadan_suhoor') {
+          summary = 'Suhoor reminder toggled';
+          update = ramadan => { ramadan.suhoor = !ramadan.suhoor; };
+      } else if (data === 'ramadan_iftar') {
+          summary = 'Iftar message toggled';
+          update = ramadan => { ramadan.iftar = !ramadan.iftar; };
+      } else {
+          const minutes = parseInt(data.replace('ramadan_suhoor_', ''), 10);
+          if (!SUHOOR_PRESETS.includes(minutes)) {
+              bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.invalidValue') });
+              return;
+          }
+          summary = `Suhoor reminder set to ${minutes} minutes before fajr`;
+          update = ramadan => {
+              ramadan.suhoor = true;
+              ramadan.suhoorMinutes = minutes;
+          };
+      }
+
+      const user = await updateSubscriberSettings(chatId, summary, settings => {
+          settings.ramadan = getRamadanSettings(settings);
+          update(settings.ramadan);
+      });
+      if (!user) {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.subscriptionNotFound') });
+          return;
+      }
+      const { message, keyboard } = await getRamadanMessageAndKeyboard(user.settings);
+      await editInlineMenu(msg, message, keyboard);
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.saved') });
+  }
+
+  // --- Jumu'ah ---
+  async function getJumuahMessageAndKeyboard(settings) {
+      const lang = getLanguage(settings);
+      const jumuah = getJumuahSettings(settings);
+      const city = await getCity(settings.city);
+      let message = t(lang, 'jumuah.title', { city: getCityName(city, lang), time: city.jumuahTime || t(lang, 'jumuah.dhuhrTime') }) + '\n\n';
+      message += t(lang, jumuah.adhan ? 'jumuah.adhanOn' : 'jumuah.adhanOff') + '\n';
+      message += (jumuah.khutbah ? t(lang, 'jumuah.khutbahOn', { minutes: jumuah.khutbahMinutes }) : t(lang, 'jumuah.khutbahOff')) + '\n';
+      message += jumuah.kahf ? t(lang, 'jumuah.kahfOn', { when: t(lang, `jumuah.when.${jumuah.kahfWhen}`) }) : t(lang, 'jumuah.kahfOff');
+      const keyboard = [
+          [{ text: t(lang, jumuah.adhan ? 'jumuah.disableAdhan' : 'jumuah.enableAdhan'), callback_data: 'jumuah_adhan' }],
+          [{ text: t(lang, jumuah.khutbah ? 'jumuah.disableKhutbah' : 'jumuah.enableKhutbah'), callback_data: 'jumuah_khutbah' }],
+          KHUTBAH_PRESETS.map(minutes => ({
+              text: jumuah.khutbah && minutes === jumuah.khutbahMinutes
+                  ? `✅ ${t(lang, 'common.minutesShort', { minutes })}`
+                  : t(lang, 'common.minutesShort', { minutes }),
+              callback_data: `jumuah_khutbah_${minutes}`
+          })),
+          [{ text: t(lang, jumuah.kahf ? 'jumuah.disableKahf' : 'jumuah.enableKahf'), callback_data: 'jumuah_kahf' }],
+          Object.keys(KAHF_SCHEDULE).map(when => ({
+              text: `${jumuah.kahf && jumuah.kahfWhen === when ? '✅ ' : ''}${t(lang, `jumuah.when.${when}`)}`,
+              callback_data: `jumuah_kahf_${when}`
+          })),
+          getSettingsRow(lang)
+      ];
+      return { message, keyboard };
+  }
+
+  bot.onText(/\/jumuah(?:@\w+)?$/, async (msg) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      try {
+          const subscribers = await loadSubscribersCache();
+          const user = subscribers.find(s => s.chatId === chatId);
+          if (!user) {
+              bot.sendMessage(chatId, t(lang, 'common.notSubscribed'));
+              return;
+          }
+          const { message, keyboard } = await getJumuahMessageAndKeyboard(user.settings);
+          bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+      } catch (error) {
+          console.error(`❌ Error handling /jumuah command for ${chatId}:`, error);
+          bot.sendMessage(chatId, t(lang, 'jumuah.error'));
+      }
+  });
+
+  async function handleJumuahCallback(callbackQuery) {
+      const msg = callbackQuery.message;
+      const chatId = msg.chat.id;
+      const data = callbackQuery.data;
+      const lang = await getChatLanguage(chatId, callbackQuery.from);
+      const match = data.match(/^jumuah_(adhan|khutbah|kahf)(?:_(.+))?$/);
+      const [, action, value] = match || [];
+      let summary;
+      let update;
+      if (action && !value) {
+          summary = `Jumu'ah ${action} toggled`;
+          update = jumuah => { jumuah[action] = !jumuah[action]; };
+      } else if (action === 'khutbah' && KHUTBAH_PRESETS.includes(parseInt(value, 10))) {
+          const minutes = parseInt(value, 10);
+          summary = `Khutbah reminder set to ${minutes} minutes before Jumu'ah`;
+          update = jumuah => {
+              jumuah.khutbah = true;
+              jumuah.khutbahMinutes = minutes;
+          };
+      } else if (action === 'kahf' && KAHF_SCHEDULE[value]) {
+          summary = `Surat al-Kahf reminder set to ${value}`;
+          update = jumuah => {
+              jumuah.kahf = true;
+              jumuah.kahfWhen = value;
+          };
+      } else {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.invalidValue') });
+          return;
+      }
+
+      const user = await updateSubscriberSettings(chatId, summary, settings => {
+          settings.jumuah = getJumuahSettings(settings);
+          update(settings.jumuah);
+      });
+      if (!user) {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.subscriptionNotFound') });
+          return;
+      }
+      const { message, keyboard } = await getJumuahMessageAndKeyboard(user.settings);
+      await editInlineMenu(msg, message, keyboard);
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.saved') });
+  }
+
+  // --- Daily content ---
+  function getContentMessageAndKeyboard(settings) {
+      const lang = getLanguage(settings);
+      const content = getContentSettings(settings);
+      const status = type => t(lang, content[type] ? 'content.on' : 'content.off');
+      let message = t(lang, 'content.title') + '\n\n';
+      message += CONTENT_TYPES.map(type => {
+          const line = `${t(lang, `content.types.${type}`)}: ${status(type)}`;
+          return type === 'evening' && content.evening
+              ? `${line} (${t(lang, 'content.after', { prayer: getPrayerName(content.eveningAfter, lang) })})`
+              : line;
+      }).join('\n');
+      const keyboard = CONTENT_TYPES.map(type => [{
+          text: `${content[type] ? '✅' : '⬜'} ${t(lang, `content.types.${type}`)}`,
+          callback_data: `content_toggle_${type}`
+      }]);
+      keyboard.splice(2, 0, EVENING_ADHKAR_PRAYERS.map(prayerKey => ({
+          text: `${content.eveningAfter === prayerKey ? '✅ ' : ''}${t(lang, 'content.after', { prayer: getPrayerName(prayerKey, lang) })}`,
+          callback_data: `content_evening_${prayerKey}`
+      })));
+      keyboard.push(getSettingsRow(lang));
+      return { message, keyboard };
+  }
+
+  bot.onText(/\/adhkar/, async (msg) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      try {
+          const subscribers = await loadSubscribersCache();
+          const user = subscribers.find(s => s.chatId === chatId);
+          if (!user) {
+              bot.sendMessage(chatId, t(lang, 'common.notSubscribed'));
+              return;
+          }
+          const { message, keyboard } = getContentMessageAndKeyboard(user.settings);
+          bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+      } catch (error) {
+          console.error(`❌ Error handling /adhkar command for ${chatId}:`, error);
+          bot.sendMessage(chatId, t(lang, 'content.error'));
+      }
+  });
+
+  async function handleContentCallback(callbackQuery) {
+      const msg = callbackQuery.message;
+      const chatId = msg.chat.id;
+      const data = callbackQuery.data;
+      const lang = await getChatLanguage(chatId, callbackQuery.from);
+      let summary;
+      let update;
+      if (data.startsWith('content_toggle_') && CONTENT_TYPES.includes(data.replace('content_toggle_', ''))) {
+          const type = data.replace('content_toggle_', '');
+          summary = `Daily ${type} content toggled`;
+          update = content => { content[type] = !content[type]; };
+      } else if (data.startsWith('content_evening_') && EVENING_ADHKAR_PRAYERS.includes(data.replace('content_evening_', ''))) {
+          const prayerKey = data.replace('content_evening_', '');
+          summary = `Evening adhkar set after ${prayerKey}`;
+          update = content => {
+              content.evening = true;
+              content.eveningAfter = prayerKey;
+          };
+      } else {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.invalidValue') });
+          return;
+      }
+
+      const user = await updateSubscriberSettings(chatId, summary, settings => {
+          settings.content = getContentSettings(settings);
+          update(settings.content);
+      });
+      if (!user) {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.subscriptionNotFound') });
+          return;
+      }
+      const { message, keyboard } = getContentMessageAndKeyboard(user.settings);
+      await editInlineMenu(msg, message, keyboard);
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.saved') });
+  }
+
+  // --- Do Not Disturb ---
+  async function getQuietMessageAndKeyboard(settings) {
+      const lang = getLanguage(settings);
+      const quietHours = getQuietHoursSettings(settings);
+      const pausedUntil = getPausedUntil(settings);
+      const silentPrayers = prayerOrder.filter(prayerKey => getPrayerSettings(settings, prayerKey).silent);
+
+      let message = t(lang, 'quiet.title') + '\n\n';
+      if (pausedUntil) {
+          const { date, time } = getLocalDateTime(getCityTimezone(await getCity(settings.city)), new Date(pausedUntil));
+          message += t(lang, 'quiet.pausedUntil', { date, time }) + '\n';
+      } else {
+          message += t(lang, 'quiet.notPaused') + '\n';
+      }
+      message += (quietHours.enabled
+          ? t(lang, 'quiet.hoursOn', { start: quietHours.start, end: quietHours.end })
+          : t(lang, 'quiet.hoursOff')) + '\n';
+      message += t(lang, 'quiet.silentPrayers', {
+          prayers: silentPrayers.length > 0
+              ? silentPrayers.map(prayerKey => getPrayerName(prayerKey, lang)).join(t(lang, 'common.listSeparator'))
+              : t(lang, 'quiet.none')
+      }) + '\n\n';
+      message += t(lang, 'quiet.help');
+
+      const presetButton = (time, current, prefix, icon) => ({
+          text: time === current ? `✅ ${time}` : `${icon} ${time}`,
+          callback_data: `quiet_${prefix}_${time}`
+      });
+      const keyboard = [
+          [{ text: t(lang, quietHours.enabled ? 'quiet.disableHours' : 'quiet.enableHours'), callback_data: 'quiet_hours' }],
+          QUIET_START_PRESETS.map(time => presetButton(time, quietHours.start, 'start', '🌙')),
+          QUIET_END_PRESETS.map(time => presetButton(time, quietHours.end, 'end', '☀️')),
+          prayerOrder.map(prayerKey => ({
+              text: `${silentPrayers.includes(prayerKey) ? '🔇' : '🔔'} ${getPrayerName(prayerKey, lang)}`,
+              callback_data: `quiet_silent_${prayerKey}`
+          })),
+          pausedUntil
+              ? [{ text: t(lang, 'quiet.resume'), callback_data: 'quiet_resume' }]
+              : PAUSE_DAY_PRESETS.map(days => ({ text: t(lang, 'quiet.pauseDays', { days }), callback_data: `quiet_pause_${days}` })),
+          getSettingsRow(lang)
+      ];
+      return { message, keyboard };
+  }
+
+  bot.onText(/\/quiet/, async (msg) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      try {
+          const subscribers = await loadSubscribersCache();
+          const user = subscribers.find(s => s.chatId === chatId);
+          if (!user) {
+              bot.sendMessage(chatId, t(lang, 'common.notSubscribed'));
+              return;
+          }
+          const { message, keyboard } = await getQuietMessageAndKeyboard(user.settings);
+          bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+      } catch (error) {
+          console.error(`❌ Error handling /quiet command for ${chatId}:`, error);
+          bot.sendMessage(chatId, t(lang, 'quiet.error'));
+      }
+  });
+
+  async function handleQuietCallback(callbackQuery) {
+      const msg = callbackQuery.message;
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, callbackQuery.from);
+      const match = callbackQuery.data.match(/^quiet_(hours|resume|start|end|silent|pause)(?:_(.+))?$/);
+      const [, action, value] = match || [];
+      let summary;
+      let update;
+      if (action === 'hours') {
+          summary = 'Quiet hours toggled';
+          update = settings => {
+              settings.quietHours = getQuietHoursSettings(settings);
+              settings.quietHours.enabled = !settings.quietHours.enabled;
+          };
+      } else if ((action === 'start' && QUIET_START_PRESETS.includes(value)) || (action === 'end' && QUIET_END_PRESETS.includes(value))) {
+          summary = `Quiet hours ${action} set to ${value}`;
+          update = settings => {
+              settings.quietHours = getQuietHoursSettings(settings);
+              settings.quietHours[action] = value;
+              settings.quietHours.enabled = true;
+          };
+      } else if (action === 'silent' && prayerOrder.includes(value)) {
+          summary = `${value} silent notifications toggled`;
+          update = settings => {
+              if (!settings.prayers) settings.prayers = createPrayerSettings();
+              settings.prayers[value].silent = !settings.prayers[value].silent;
+          };
+      } else if (action === 'pause' && PAUSE_DAY_PRESETS.includes(Number(value))) {
+          const days = Number(value);
+          summary = `Notifications paused for ${days} days`;
+          update = settings => {
+              settings.pausedUntil = new Date(clock.now().getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+          };
+      } else if (action === 'resume') {
+          summary = 'Notifications resumed';
+          update = settings => {
+              settings.pausedUntil = null;
+          };
+      } else {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.invalidValue') });
+          return;
+      }
+
+      const user = await updateSubscriberSettings(chatId, summary, update);
+      if (!user) {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.subscriptionNotFound') });
+          return;
+      }
+      const { message, keyboard } = await getQuietMessageAndKeyboard(user.settings);
+      await editInlineMenu(msg, message, keyboard);
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.saved') });
+  }
+
+  // --- Reminder Settings ---
+  const REMINDER_PRESETS = [5, 10, 15, 30];
+
+  function getReminderMessageAndKeyboard(settings) {
+      const lang = getLanguage(settings);
+      let message = t(lang, 'reminders.title') + '\n\n';
+      for (const prayerKey of prayerOrder) {
+          message += `${getPrayerName(prayerKey, lang)}: ${formatPrayerSettings(getPrayerSettings(settings, prayerKey), lang)}\n`;
+      }
+      message += '\n' + t(lang, 'reminders.legend');
+      const prayerButtons = prayerOrder.map(prayerKey => ({ text: getPrayerName(prayerKey, lang), callback_data: `reminder_prayer_${prayerKey}` }));
+      const keyboard = [
+          prayerButtons.slice(0, 3),
+          prayerButtons.slice(3),
+          [{ text: t(lang, 'reminders.setAll'), callback_data: 'reminder_manual_all' }],
+          getSettingsRow(lang)
+      ];
+      return { message, keyboard };
+  }
+
+  function getPrayerReminderMessageAndKeyboard(settings, prayerKey) {
+      const lang = getLanguage(settings);
+      const prayerSettings = getPrayerSettings(settings, prayerKey);
+      const reminders = prayerSettings.reminders.length > 0
+          ? prayerSettings.reminders.map(minutes => t(lang, 'common.minutes', { minutes })).join(t(lang, 'common.listSeparator'))
+          : t(lang, 'reminders.none');
+      const message = t(lang, 'reminders.prayerMenu', {
+          prayer: getPrayerName(prayerKey, lang),
+          adhan: t(lang, prayerSettings.adhan ? 'reminders.adhanOn' : 'reminders.adhanOff'),
+          reminders,
+          max: MAX_REMINDERS_PER_PRAYER,
+          min: MIN_REMINDER_MINUTES,
+          maxMinutes: MAX_REMINDER_MINUTES
+      });
+
+      const keyboard = [
+          [{ text: t(lang, prayerSettings.adhan ? 'reminders.disableAdhan' : 'reminders.enableAdhan'), callback_data: `reminder_adhan_${prayerKey}` }]
+      ];
+      if (prayerSettings.reminders.length > 0) {
+          keyboard.push(prayerSettings.reminders.map(m => ({ text: `❌ ${t(lang, 'common.minutesShort', { minutes: m })}`, callback_data: `reminder_remove_${prayerKey}_${m}` })));
+      }
+      if (prayerSettings.reminders.length < MAX_REMINDERS_PER_PRAYER) {
+          const presets = REMINDER_PRESETS.filter(m => !prayerSettings.reminders.includes(m));
+          if (presets.length > 0) {
+              keyboard.push(presets.map(m => ({ text: `➕ ${t(lang, 'common.minutesShort', { minutes: m })}`, callback_data: `reminder_add_${prayerKey}_${m}` })));
+          }
+          keyboard.push([{ text: t(lang, 'reminders.manual'), callback_data: `reminder_manual_${prayerKey}` }]);
+      }
+      keyboard.push([{ text: t(lang, 'common.back'), callback_data: 'reminder_menu' }]);
+      return { message, keyboard };
+  }
+
+  // "for all prayers" / "for dhuhr", used when asking for and confirming a typed reminder value
+  function getReminderScope(target, lang) {
+      return target === 'all' ? t(lang, 'reminders.scopeAll') : t(lang, 'reminders.scopePrayer', { prayer: getPrayerName(target, lang) });
+  }
+
+  function addReminder(settings, prayerKey, minutes) {
+      if (!settings.prayers) settings.prayers = createPrayerSettings();
+      const prayerSettings = settings.prayers[prayerKey];
+      if (!prayerSettings.reminders.includes(minutes)) {
+          prayerSettings.reminders = [...prayerSettings.reminders, minutes].sort((a, b) => b - a);
+      }
+  }
+
+  bot.onText(buttonOrCommand('keyboard.reminders', 'reminder'), async (msg) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      try {
+          const subscribers = await loadSubscribersCache();
+          const user = subscribers.find(s => s.chatId === chatId);
+          if (!user) {
+              bot.sendMessage(chatId, t(lang, 'common.notSubscribed'));
+              return;
+          }
+          const { message, keyboard } = getReminderMessageAndKeyboard(user.settings);
+          bot.sendMessage(chatId, message, {
+              parse_mode: 'Markdown',
+              reply_markup: { inline_keyboard: keyboard }
+          });
+      } catch (error) {
+          console.error(`❌ Error handling /reminder command for ${chatId}:`, error);
+          bot.sendMessage(chatId, t(lang, 'reminders.error'));
+      }
+  });
+
+  async function handleReminderCallback(callbackQuery) {
+      const msg = callbackQuery.message;
+      const chatId = msg.chat.id;
+      const [, action, prayerKey, value] = callbackQuery.data.split('_');
+
+      const subscribers = await loadSubscribersCache();
+      const user = subscribers.find(s => s.chatId === chatId);
+      if (!user) {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(resolveLanguage(callbackQuery.from && callbackQuery.from.language_code), 'common.subscriptionNotFound') });
+          return;
+      }
+      const lang = getLanguage(user.settings);
+
+      // Old menus (before per-prayer settings) still send reminder_adjust_* and reminder_set_manual
+      if (action === 'menu' || action === 'adjust' || (action === 'set' && prayerKey !== 'manual')) {
+          const { message, keyboard } = getReminderMessageAndKeyboard(user.settings);
+          await editInlineMenu(msg, message, keyboard);
+          bot.answerCallbackQuery(callbackQuery.id);
+          return;
+      }
+
+      if (action === 'manual' || action === 'set') {
+          const target = action === 'set' ? 'all' : prayerKey;
+          await setConversation(chatId, 'reminderValue', target, REMINDER_PROMPT_TTL_MS);
+          // With privacy mode on, the bot only sees group messages that reply to it
+          bot.sendMessage(chatId, t(lang, 'reminders.askMinutes', { min: MIN_REMINDER_MINUTES, max: MAX_REMINDER_MINUTES, scope: getReminderScope(target, lang) }),
+              msg.chat.type === 'private' ? {} : { reply_markup: { force_reply: true } });
+          bot.answerCallbackQuery(callbackQuery.id);
+          return;
+      }
+
+      if (!prayerOrder.includes(prayerKey)) {
+          bot.answerCallbackQuery(callbackQuery.id);
+          return;
+      }
+
+      let notice;
+      let current = user;
+      const prayerSettings = getPrayerSettings(user.settings, prayerKey);
+      const minutes = parseInt(value, 10);
+      if (action === 'adhan') {
+          const enabled = !prayerSettings.adhan;
+          current = await updateSubscriberSettings(chatId, `${prayerKey} adhan ${enabled ? 'enabled' : 'disabled'}`, settings => {
+              settings.prayers[prayerKey].adhan = enabled;
+          });
+          notice = t(lang, enabled ? 'reminders.adhanEnabled' : 'reminders.adhanDisabled');
+      } else if (action === 'add') {
+          if (prayerSettings.reminders.length >= MAX_REMINDERS_PER_PRAYER) {
+              notice = t(lang, 'reminders.limitReached', { max: MAX_REMINDERS_PER_PRAYER });
+          } else {
+              current = await updateSubscriberSettings(chatId, `${prayerKey} reminder ${minutes} added`, settings => addReminder(settings, prayerKey, minutes));
+              notice = t(lang, 'reminders.added', { minutes });
+          }
+      } else if (action === 'remove') {
+          current = await updateSubscriberSettings(chatId, `${prayerKey} reminder ${minutes} removed`, settings => {
+              settings.prayers[prayerKey].reminders = settings.prayers[prayerKey].reminders.filter(m => m !== minutes);
+          });
+          notice = t(lang, 'reminders.removed', { minutes });
+      }
+
+      const { message, keyboard } = getPrayerReminderMessageAndKeyboard((current || user).settings, prayerKey);
+      await editInlineMenu(msg, message, keyboard);
+      bot.answerCallbackQuery(callbackQuery.id, notice ? { text: notice } : undefined);
+  }
+
+  // Applies a typed reminder value after the "manual" button asked for one
+  async function handleReminderValue(msg, target) {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      const newMinutes = parseInt(msg.text, 10);
+      if (isNaN(newMinutes) || newMinutes < MIN_REMINDER_MINUTES || newMinutes > MAX_REMINDER_MINUTES) {
+          bot.sendMessage(chatId, t(lang, 'reminders.invalidMinutes', { min: MIN_REMINDER_MINUTES, max: MAX_REMINDER_MINUTES }));
+          return;
+      }
+
+      const summary = target === 'all' ? `All reminders set to ${newMinutes}` : `${target} reminder ${newMinutes} added`;
+      const user = await updateSubscriberSettings(chatId, summary, settings => {
+          if (target === 'all') {
+              for (const prayerKey of prayerOrder) {
+                  settings.prayers[prayerKey].reminders = [newMinutes];
+              }
+          } else if (settings.prayers[target].reminders.length < MAX_REMINDERS_PER_PRAYER) {
+              addReminder(settings, target, newMinutes);
+          }
+      });
+      if (!user) {
+          bot.sendMessage(chatId, t(lang, 'common.subscriptionNotFound'));
+          return;
+      }
+      bot.sendMessage(chatId, t(lang, 'reminders.set', { minutes: newMinutes, scope: getReminderScope(target, lang) }), { parse_mode: 'Markdown' });
+
+      // Show the reminder menu again for clarity
+      const { message, keyboard } = target === 'all'
+          ? getReminderMessageAndKeyboard(user.settings)
+          : getPrayerReminderMessageAndKeyboard(user.settings, target);
+      bot.sendMessage(chatId, message, {
+          parse_mode: 'Markdown',
+          reply_markup: { inline_keyboard: keyboard }
+      });
+  }
+
+  return {
+    callbacks: {
+      reminder_: handleReminderCallback,
+      ramadan_: handleRamadanCallback,
+      jumuah_: handleJumuahCallback,
+      content_: handleContentCallback,
+      quiet_: handleQuietCallback,
+    },
+    // Opened from the /settings dashboard
+    menus: {
+      reminders: user => getReminderMessageAndKeyboard(user.settings),
+      ramadan: user => getRamadanMessageAndKeyboard(user.settings),
+      jumuah: user => getJumuahMessageAndKeyboard(user.settings),
+      content: user => getContentMessageAndKeyboard(user.settings),
+      quiet: user => getQuietMessageAndKeyboard(user.settings),
+    },
+    handleReminderValue,
+  };
+}
+
+module.exports = { registerPreferenceHandlers, formatPrayerSettings };
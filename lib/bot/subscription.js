@@ -0,0 +1,303 @@
+const { t, resolveLanguage, SUPPORTED_LANGUAGES } = require('../i18n');
+const { createDefaultSettings, getLanguage } = require('../settings');
+const { getCityName } = require('../store');
+const { buttonOrCommand, getChatKeyboard, getSettingsRow } = require('./helpers');
+
+// Joining and leaving: /start, /stop, the bot being added to or removed from chats, language and city,
+// and the chat's own data: /mydata and /deletemydata
+function registerSubscriptionHandlers({ bot, store, scheduler, config, helpers }) {
+  const {
+    appendAuditLog, addSubscriber, removeSubscriber, loadSubscribersCache, getSubscriberCityId, loadCities, getCity,
+    exportChatData, forgetChat
+  } = store;
+  const { getChatLanguage, canManageChat, updateSubscriberSettings, editInlineMenu } = helpers;
+  const { DEFAULT_CITY_ID } = config;
+
+  // Fired when the bot itself is added to, removed from or blocked in a chat
+  bot.on('my_chat_member', async (update) => {
+    const { chat } = update;
+    const status = update.new_chat_member && update.new_chat_member.status;
+    try {
+      if (status === 'left' || status === 'kicked') {
+        const actor = status === 'kicked' ? 'system:blocked' : 'system:removed';
+        if (await removeSubscriber(chat.id, actor)) {
+          await scheduler.removeChat(chat.id);
+          console.log(`🚪 Bot ${status === 'kicked' ? 'blocked or banned' : 'removed'} in ${chat.type} ${chat.id}. Subscription deleted.`);
+        }
+      } else if ((chat.type === 'group' || chat.type === 'supergroup') && ['left', 'kicked'].includes(update.old_chat_member && update.old_chat_member.status)) {
+        const lang = resolveLanguage(update.from && update.from.language_code);
+        await bot.sendMessage(chat.id, t(lang, 'groups.added'));
+      }
+    } catch (error) {
+      console.error(`❌ Error handling membership update for ${chat.id}:`, error);
+    }
+  });
+
+  bot.onText(/\/start/, async (msg) => {
+    const chatId = msg.chat.id;
+    const isPrivate = msg.chat.type === 'private';
+    // Groups and channels are listed by their title
+    const username = (isPrivate ? msg.from.username : msg.chat.username || msg.chat.title) || 'Unknown';
+    let lang = resolveLanguage(msg.from && msg.from.language_code);
+
+    try {
+      if (!await canManageChat(msg.chat, msg.from, msg.sender_chat)) {
+        bot.sendMessage(chatId, t(lang, 'groups.adminsOnly'));
+        return;
+      }
+      const newSubscriber = {
+        chatId: chatId,
+        chatType: msg.chat.type,
+        username: username,
+        settings: createDefaultSettings(DEFAULT_CITY_ID, lang)
+      };
+      if (await addSubscriber(newSubscriber)) {
+        const actor = msg.from ? `telegram:${msg.from.id}` : `telegram:${chatId}`;
+        await appendAuditLog(actor, 'subscriber.add', `New subscriber ${chatId} (@${username})`, { chatId, chatType: msg.chat.type, username, language: lang });
+
+        const city = await getCity(newSubscriber.settings.city);
+        bot.sendMessage(chatId, t(lang, isPrivate ? 'start.welcome' : 'groups.welcome', { city: getCityName(city, lang) }), { reply_markup: getChatKeyboard(msg.chat, lang) });
+
+        console.log(`👤 New ${msg.chat.type} subscriber added: ${chatId} (@${username})`);
+        console.log(`👥 Total subscribers: ${(await loadSubscribersCache()).length}`);
+      } else {
+        lang = await getChatLanguage(chatId, msg.from);
+        bot.sendMessage(chatId, t(lang, 'start.alreadySubscribed'), { reply_markup: getChatKeyboard(msg.chat, lang) });
+        console.log(`🔄 Existing subscriber: ${chatId} (@${username})`);
+      }
+    } catch (error) {
+      console.error(`❌ Error handling /start command for ${chatId}:`, error);
+      bot.sendMessage(chatId, t(lang, 'start.error'));
+    }
+  });
+
+  bot.onText(/\/stop/, async (msg) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      try {
+          if (!await canManageChat(msg.chat, msg.from, msg.sender_chat)) {
+              bot.sendMessage(chatId, t(lang, 'groups.adminsOnly'));
+              return;
+          }
+          const removed = await removeSubscriber(chatId, msg.from ? `telegram:${msg.from.id}` : `telegram:${chatId}`);
+          if (removed) {
+              await scheduler.removeChat(chatId);
+              bot.sendMessage(chatId, t(lang, 'stop.done'), msg.chat.type === 'private' ? {
+                  reply_markup: {
+                      remove_keyboard: true
+                  }
+              } : {});
+          } else {
+              bot.sendMessage(chatId, t(lang, 'stop.notSubscribed'));
+          }
+      } catch (error) {
+          console.error(`❌ Error handling /stop command for ${chatId}:`, error);
+          bot.sendMessage(chatId, t(lang, 'stop.error'));
+      }
+  });
+
+  // --- Language ---
+  function getLanguageMessageAndKeyboard(lang) {
+      const keyboard = SUPPORTED_LANGUAGES.map(code => [{
+          text: code === lang ? `✅ ${t(code, 'language.name')}` : t(code, 'language.name'),
+          callback_data: `lang_set_${code}`
+      }]);
+      keyboard.push(getSettingsRow(lang));
+      return { message: t(lang, 'language.menu'), keyboard };
+  }
+
+  bot.onText(/\/language/, async (msg) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      try {
+          const subscribers = await loadSubscribersCache();
+          if (!subscribers.some(s => s.chatId === chatId)) {
+              bot.sendMessage(chatId, t(lang, 'common.notSubscribed'));
+              return;
+          }
+          const { message, keyboard } = getLanguageMessageAndKeyboard(lang);
+          bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+      } catch (error) {
+          console.error(`❌ Error handling /language command for ${chatId}:`, error);
+          bot.sendMessage(chatId, t(lang, 'common.error'));
+      }
+  });
+
+  async function handleLanguageCallback(callbackQuery) {
+      const msg = callbackQuery.message;
+      const chatId = msg.chat.id;
+      const lang = callbackQuery.data.replace('lang_set_', '');
+      if (!SUPPORTED_LANGUAGES.includes(lang)) {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(await getChatLanguage(chatId, callbackQuery.from), 'common.invalidValue') });
+          return;
+      }
+      // Rescheduling re-renders today's queued notifications in the new language
+      const user = await updateSubscriberSettings(chatId, `Language set to ${lang}`, settings => {
+          settings.language = lang;
+      });
+      if (!user) {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.subscriptionNotFound') });
+          return;
+      }
+      const { message, keyboard } = getLanguageMessageAndKeyboard(lang);
+      await editInlineMenu(msg, message, keyboard);
+      bot.answerCallbackQuery(callbackQuery.id);
+      // The reply keyboard only changes when a message carries the new one
+      bot.sendMessage(chatId, t(lang, 'language.changed'), { reply_markup: getChatKeyboard(msg.chat, lang) });
+  }
+
+  // --- City Selection ---
+  async function getCityMessageAndKeyboard(currentCityId, lang) {
+      const cities = await loadCities();
+      const current = await getCity(currentCityId);
+      const message = t(lang, 'city.menu', { city: getCityName(current, lang) });
+      const keyboard = cities.map(city => [{
+          text: city.id === current.id ? `✅ ${getCityName(city, lang)}` : getCityName(city, lang),
+          callback_data: `city_set_${city.id}`
+      }]);
+      keyboard.push(getSettingsRow(lang));
+      return { message, keyboard };
+  }
+
+  bot.onText(buttonOrCommand('keyboard.city', 'city'), async (msg) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      try {
+          const subscribers = await loadSubscribersCache();
+          const user = subscribers.find(s => s.chatId === chatId);
+          if (!user) {
+              bot.sendMessage(chatId, t(lang, 'common.notSubscribed'));
+              return;
+          }
+          const { message, keyboard } = await getCityMessageAndKeyboard(getSubscriberCityId(user), lang);
+          bot.sendMessage(chatId, message, {
+              parse_mode: 'Markdown',
+              reply_markup: { inline_keyboard: keyboard }
+          });
+      } catch (error) {
+          console.error(`❌ Error handling /city command for ${chatId}:`, error);
+          bot.sendMessage(chatId, t(lang, 'city.error'));
+      }
+  });
+
+  async function handleCityCallback(callbackQuery) {
+      const msg = callbackQuery.message;
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, callbackQuery.from);
+      const cityId = callbackQuery.data.replace('city_set_', '');
+      const cities = await loadCities();
+      const city = cities.find(c => c.id === cityId);
+      if (!city) {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'city.notFound') });
+          return;
+      }
+      const subscribers = await loadSubscribersCache();
+      const user = subscribers.find(s => s.chatId === chatId);
+      if (user && getSubscriberCityId(user) === cityId) {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'city.alreadySelected', { city: getCityName(city, lang) }) });
+          return;
+      }
+      const updated = await updateSubscriberSettings(chatId, `City set to ${cityId}`, settings => {
+          settings.city = cityId;
+      });
+      if (!updated) {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.subscriptionNotFound') });
+          return;
+      }
+      const { message, keyboard } = await getCityMessageAndKeyboard(cityId, lang);
+      await editInlineMenu(msg, message, keyboard);
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'city.selected', { city: getCityName(city, lang) }) });
+  }
+
+  // --- Personal data ---
+  // /mydata sends everything the bot keeps about the chat as a JSON file, including the notifications
+  // queued for it. /deletemydata goes further than /stop (see store.forgetChat), after a confirmation.
+  async function sendChatData(chat, lang) {
+      const data = await exportChatData(chat.id);
+      data.queuedNotifications = scheduler.getQueue()
+          .filter(item => item.chatId === chat.id)
+          .map(item => ({ type: item.type, sendAt: new Date(item.sendAt).toISOString(), message: item.message }));
+      await bot.sendDocument(chat.id, Buffer.from(JSON.stringify(data, null, 2), 'utf8'), { caption: t(lang, 'myData.caption') }, {
+          filename: `my-data-${chat.id}.json`,
+          contentType: 'application/json'
+      });
+  }
+
+  function getDeleteConfirmation(lang) {
+      return {
+          message: t(lang, 'myData.deleteConfirm'),
+          keyboard: [[
+              { text: t(lang, 'myData.deleteYes'), callback_data: 'mydata_delete_confirm' },
+              { text: t(lang, 'myData.deleteNo'), callback_data: 'mydata_delete_cancel' }
+          ]]
+      };
+  }
+
+  bot.onText(/\/mydata/, async (msg) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      try {
+          if (!await canManageChat(msg.chat, msg.from, msg.sender_chat)) {
+              bot.sendMessage(chatId, t(lang, 'groups.adminsOnly'));
+              return;
+          }
+          await sendChatData(msg.chat, lang);
+      } catch (error) {
+          console.error(`❌ Error handling /mydata command for ${chatId}:`, error);
+          bot.sendMessage(chatId, t(lang, 'myData.error'));
+      }
+  });
+
+  bot.onText(/\/deletemydata/, async (msg) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      if (!await canManageChat(msg.chat, msg.from, msg.sender_chat)) {
+          bot.sendMessage(chatId, t(lang, 'groups.adminsOnly'));
+          return;
+      }
+      const { message, keyboard } = getDeleteConfirmation(lang);
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+  });
+
+  async function handleMyDataCallback(callbackQuery) {
+      const msg = callbackQuery.message;
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, callbackQuery.from);
+      const action = callbackQuery.data.replace('mydata_', '');
+      if (action === 'export') {
+          bot.answerCallbackQuery(callbackQuery.id);
+          await sendChatData(msg.chat, lang);
+      } else if (action === 'delete') {
+          const { message, keyboard } = getDeleteConfirmation(lang);
+          await editInlineMenu(msg, message, keyboard);
+          bot.answerCallbackQuery(callbackQuery.id);
+      } else if (action === 'delete_cancel') {
+          await editInlineMenu(msg, t(lang, 'myData.deleteCancelled'), []);
+          bot.answerCallbackQuery(callbackQuery.id);
+      } else if (action === 'delete_confirm') {
+          const forgotten = await forgetChat(chatId, callbackQuery.from ? `telegram:${callbackQuery.from.id}` : `telegram:${chatId}`);
+          await scheduler.forgetChat(chatId);
+          await editInlineMenu(msg, t(lang, forgotten ? 'myData.deleted' : 'myData.nothingToDelete'), []);
+          bot.answerCallbackQuery(callbackQuery.id);
+          if (forgotten) {
+              console.log(`🧹 Data of ${chatId} deleted on request.`);
+              if (msg.chat.type === 'private') {
+                  bot.sendMessage(chatId, t(lang, 'myData.goodbye'), { reply_markup: { remove_keyboard: true } });
+              }
+          }
+      } else {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.invalidValue') });
+      }
+  }
+
+  return {
+    callbacks: { lang_set_: handleLanguageCallback, city_set_: handleCityCallback, mydata_: handleMyDataCallback },
+    // Opened from the /settings dashboard
+    menus: {
+      language: user => getLanguageMessageAndKeyboard(getLanguage(user.settings)),
+      city: user => getCityMessageAndKeyboard(getSubscriberCityId(user), getLanguage(user.settings)),
+    },
+  };
+}
+
+module.exports = { registerSubscriptionHandlers };
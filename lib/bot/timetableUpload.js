@@ -0,0 +1,180 @@
+const { t, DEFAULT_LANGUAGE } = require('../i18n');
+const { prayerOrder } = require('../prayerTimes');
+const { getPrayerName } = require('../settings');
+const { getCityName } = require('../store');
+const { parseTimetableFile } = require('../timetableImport');
+
+function registerTimetableUploadHandlers({ bot, store, scheduler, config, helpers }) {
+  const { updatePrayerTimes, loadCities, hasPermission, getConversation, setConversation, clearConversation } = store;
+  const { getChatLanguage } = helpers;
+  const { DEFAULT_CITY_ID } = config;
+
+  // --- TIMETABLE UPLOADS ---
+  // Admins can send the monthly timetable as a CSV, XLSX or PDF document. The parsed rows are shown
+  // as a preview and only saved (merged by date, like POST /api/update_times?mode=merge) once confirmed.
+  // The caption may name the city id and the month ("oran 2026-11") when the file does not.
+  // The pending import is the chat's conversation (see store.setConversation), so it survives a restart.
+  const TIMETABLE_UPLOAD_MAX_BYTES = 5 * 1024 * 1024;
+  const TIMETABLE_IMPORT_TTL_MS = 30 * 60 * 1000;
+  const TIMETABLE_PREVIEW_MAX_ROWS = 31;
+  const TIMETABLE_PREVIEW_MAX_ISSUES = 10;
+
+  function getPendingTimetableImport(chatId) {
+    const state = getConversation(chatId, 'timetableImport');
+    return state ? state.data : null;
+  }
+
+  async function downloadTelegramFile(fileId) {
+    const chunks = [];
+    for await (const chunk of bot.getFileStream(fileId)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  function formatTimetableAnomaly(anomaly, lang) {
+    if (anomaly.type === 'missingDays') {
+      return t(lang, 'timetableImport.anomalies.missingDays', { count: anomaly.dates.length, dates: anomaly.dates.map(date => date.slice(5)).join(', ') });
+    }
+    if (anomaly.type === 'jump') {
+      return t(lang, 'timetableImport.anomalies.jump', { date: anomaly.date, prayer: getPrayerName(anomaly.prayer, lang), from: anomaly.from, to: anomaly.to });
+    }
+    return t(lang, 'timetableImport.anomalies.skippedRows', { count: anomaly.count });
+  }
+
+  function getTimetablePreviewMessage(pending, city, diff, lang) {
+    const { rows, anomalies, filename } = pending;
+    const table = rows.slice(0, TIMETABLE_PREVIEW_MAX_ROWS)
+      .map(row => `${row.date.slice(5)} ${prayerOrder.map(prayerKey => row[prayerKey]).join(' ')}`);
+    if (rows.length > TIMETABLE_PREVIEW_MAX_ROWS) {
+      table.push(t(lang, 'timetableImport.moreRows', { count: rows.length - TIMETABLE_PREVIEW_MAX_ROWS }));
+    }
+    let message = t(lang, 'timetableImport.previewTitle', { city: getCityName(city, lang), file: filename }) + '\n';
+    message += t(lang, 'timetableImport.range', { from: rows[0].date, to: rows[rows.length - 1].date, count: rows.length }) + '\n';
+    message += t(lang, 'timetableImport.diff', { added: diff.added.length, updated: diff.updated.length }) + '\n';
+    message += '```\n' + t(lang, 'timetableImport.columns') + '\n' + table.join('\n') + '\n```\n';
+    if (anomalies.length > 0) {
+      message += t(lang, 'timetableImport.anomaliesTitle') + '\n';
+      message += anomalies.slice(0, TIMETABLE_PREVIEW_MAX_ISSUES).map(anomaly => `- ${formatTimetableAnomaly(anomaly, lang)}`).join('\n') + '\n';
+    } else {
+      message += t(lang, 'timetableImport.noAnomalies') + '\n';
+    }
+    return message + '\n' + t(lang, 'timetableImport.confirmPrompt');
+  }
+
+  async function handleTimetableUpload(msg) {
+    const chatId = msg.chat.id;
+    const lang = await getChatLanguage(chatId, msg.from).catch(() => DEFAULT_LANGUAGE);
+    const { file_id: fileId, file_name: filename, file_size: fileSize } = msg.document;
+    try {
+      if (fileSize > TIMETABLE_UPLOAD_MAX_BYTES) {
+        bot.sendMessage(chatId, t(lang, 'timetableImport.tooLarge', { max: TIMETABLE_UPLOAD_MAX_BYTES / 1024 / 1024 }));
+        return;
+      }
+
+      const cities = await loadCities();
+      let cityId = DEFAULT_CITY_ID;
+      let month = null;
+      for (const word of (msg.caption || '').trim().split(/\s+/).filter(Boolean)) {
+        if (/^\d{4}-(0[1-9]|1[0-2])$/.test(word)) {
+          month = word;
+        } else if (cities.some(c => c.id === word.toLowerCase())) {
+          cityId = word.toLowerCase();
+        } else {
+          bot.sendMessage(chatId, t(lang, 'timetableImport.badCaption', { word, cities: cities.map(c => c.id).join(', ') }));
+          return;
+        }
+      }
+
+      let parsed;
+      try {
+        parsed = await parseTimetableFile(await downloadTelegramFile(fileId), { filename, month });
+      } catch (error) {
+        console.error(`❌ Could not read timetable upload "${filename}" from ${chatId}:`, error.message);
+        bot.sendMessage(chatId, t(lang, 'timetableImport.parseError'));
+        return;
+      }
+      if (parsed.rows.length === 0) {
+        bot.sendMessage(chatId, t(lang, 'timetableImport.noRows'));
+        return;
+      }
+
+      // Same validation as the HTTP endpoint; nothing is saved until the admin confirms
+      const rows = [...parsed.rows].sort((a, b) => a.date.localeCompare(b.date));
+      const result = await updatePrayerTimes({ [cityId]: rows }, { mode: 'merge', dryRun: true });
+      if (result.errors) {
+        const errors = result.errors.slice(0, TIMETABLE_PREVIEW_MAX_ISSUES)
+          .map(error => `- ${error.date || `#${error.index + 1}`}: ${error.errors.join(' ')}`);
+        bot.sendMessage(chatId, t(lang, 'timetableImport.invalid', { count: result.errors.length }) + '\n' + errors.join('\n'));
+        return;
+      }
+
+      const pending = { cityId, rows, anomalies: parsed.anomalies, filename };
+      await setConversation(chatId, 'timetableImport', pending, TIMETABLE_IMPORT_TTL_MS);
+      const city = cities.find(c => c.id === cityId);
+      await bot.sendMessage(chatId, getTimetablePreviewMessage(pending, city, result.diff[cityId], lang), {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [[
+            { text: t(lang, 'timetableImport.confirm'), callback_data: 'timetable_confirm' },
+            { text: t(lang, 'timetableImport.cancel'), callback_data: 'timetable_cancel' }
+          ]]
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Error importing timetable upload "${filename}" from ${chatId}:`, error);
+      bot.sendMessage(chatId, t(lang, 'timetableImport.saveError'));
+    }
+  }
+
+  // The pending import is only dropped once it is cancelled or saved, so a failed save can be confirmed again
+  async function handleTimetableCallback(callbackQuery) {
+    const msg = callbackQuery.message;
+    const chatId = msg.chat.id;
+    const lang = await getChatLanguage(chatId, callbackQuery.from).catch(() => DEFAULT_LANGUAGE);
+    const removeButtons = () => bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: msg.message_id }).catch(() => {});
+    try {
+      if (!hasPermission(chatId, 'timetable')) {
+        bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'common.notAllowed') });
+        return;
+      }
+      const pending = getPendingTimetableImport(chatId);
+      if (!pending) {
+        await removeButtons();
+        bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'timetableImport.expired'), show_alert: true });
+        return;
+      }
+
+      if (callbackQuery.data === 'timetable_cancel') {
+        await clearConversation(chatId);
+        await removeButtons();
+        bot.answerCallbackQuery(callbackQuery.id);
+        bot.sendMessage(chatId, t(lang, 'timetableImport.cancelled'));
+        return;
+      }
+
+      const result = await updatePrayerTimes({ [pending.cityId]: pending.rows }, { mode: 'merge', actor: `telegram:${chatId}` });
+      // Rows that failed validation will not pass on a second try either
+      await clearConversation(chatId);
+      await removeButtons();
+      bot.answerCallbackQuery(callbackQuery.id);
+      if (result.errors) {
+        bot.sendMessage(chatId, t(lang, 'timetableImport.invalid', { count: result.errors.length }));
+        return;
+      }
+      const diff = result.diff[pending.cityId];
+      await scheduler.buildDailyQueue();
+      bot.sendMessage(chatId, t(lang, 'timetableImport.saved', { count: pending.rows.length, added: diff.added.length, updated: diff.updated.length }));
+    } catch (error) {
+      console.error(`❌ Error saving timetable import of ${chatId}:`, error);
+      bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'timetableImport.saveError'), show_alert: true });
+    }
+  }
+
+  return {
+    callbacks: { timetable_: handleTimetableCallback },
+    handleTimetableUpload,
+  };
+}
+
+module.exports = { registerTimetableUploadHandlers };
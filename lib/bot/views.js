@@ -0,0 +1,289 @@
+const { t, DEFAULT_LANGUAGE } = require('../i18n');
+const { addDays, getWeekday } = require('../time');
+const { prayerOrder, isValidDateString, getPrayerInstants } = require('../prayerTimes');
+const { getPrayerName } = require('../settings');
+const { getCityName } = require('../store');
+const { renderMonthlyTimetablePdf } = require('../timetablePdf');
+const { buttonOrCommand } = require('./helpers');
+
+// Read-only prayer time views: today, week, month, a single date and the printable timetable
+function registerViewHandlers({ bot, store, config, clock, helpers }) {
+  const {
+    loadSubscribersCache, getSubscriberCityId, getPrayerTimesForDate, getPrayerTimesForRange, getCity,
+    getCityTimezone, getCityDateTime, formatHijriDate, isRamadanDate
+  } = store;
+  const { getChatLanguage, getChatCityId, editInlineMenu } = helpers;
+  const { DEFAULT_CITY_ID } = config;
+
+  // Today's date in the timezone of the chat's city
+  async function getChatToday(chatId) {
+      return getCityDateTime(await getCity(await getChatCityId(chatId))).date;
+  }
+
+  // --- Today's Prayer Times ---
+  async function getTodayPrayersString(cityId = DEFAULT_CITY_ID, lang = DEFAULT_LANGUAGE) {
+      const now = clock.now();
+      const city = await getCity(cityId);
+      const { date: currentDate } = getCityDateTime(city, now);
+
+      const todaysPrayers = await getPrayerTimesForDate(city.id, currentDate);
+      if (!todaysPrayers) {
+          return t(lang, 'today.missing', { date: currentDate });
+      }
+
+      const instants = getPrayerInstants(todaysPrayers, getCityTimezone(city));
+      let nextPrayer = null;
+      for (const prayerKey of prayerOrder) {
+          if (instants[prayerKey] > now.getTime()) {
+              nextPrayer = prayerKey;
+              break;
+          }
+      }
+
+      let message = t(lang, 'today.title', { city: getCityName(city, lang), date: currentDate, hijri: formatHijriDate(currentDate, lang) }) + '\n';
+      if (isRamadanDate(currentDate)) {
+          message += t(lang, 'today.ramadan') + '\n';
+      }
+      message += `\n`;
+      prayerOrder.forEach(prayerKey => {
+          const prayerName = getPrayerName(prayerKey, lang);
+          const prayerTime = todaysPrayers[prayerKey];
+          if (prayerKey === nextPrayer) {
+              message += t(lang, 'today.nextPrayer', { prayer: prayerName, time: prayerTime }) + '\n';
+          } else {
+              message += `${prayerName}: ${prayerTime}\n`;
+          }
+      });
+      if (todaysPrayers.source === 'computed') {
+          message += `\n${t(lang, 'common.computedNotice')}`;
+      }
+      return message;
+  }
+
+  bot.onText(buttonOrCommand('keyboard.today', 'today'), async (msg) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      try {
+          const subscribers = await loadSubscribersCache();
+          const user = subscribers.find(s => s.chatId === chatId);
+          const message = await getTodayPrayersString(getSubscriberCityId(user), lang);
+          bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+      } catch (error) {
+          console.error(`❌ Error handling /today command for ${chatId}:`, error);
+          bot.sendMessage(chatId, t(lang, 'common.fetchError'));
+      }
+  });
+
+
+  // --- Weekly, Monthly & Date Views ---
+  const MONTH_REGEX = /^\d{4}-\d{2}$/;
+
+  function getWeekdayName(date, lang) {
+      return t(lang, 'weekdays')[getWeekday(date)];
+  }
+
+  function addMonths(yearMonth, months) {
+      const [year, month] = yearMonth.split('-').map(Number);
+      return new Date(Date.UTC(year, month - 1 + months, 1)).toISOString().slice(0, 7);
+  }
+
+  function getDaysInMonth(yearMonth) {
+      const [year, month] = yearMonth.split('-').map(Number);
+      return new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  // Keeps browsing within years the calendar helpers handle correctly
+  function isViewableMonth(yearMonth) {
+      if (typeof yearMonth !== 'string' || !MONTH_REGEX.test(yearMonth)) return false;
+      const [year, month] = yearMonth.split('-').map(Number);
+      return year >= 1900 && year <= 2100 && month >= 1 && month <= 12;
+  }
+
+  function isViewableDate(date) {
+      return isValidDateString(date) && isViewableMonth(date.slice(0, 7));
+  }
+
+  function formatRowTimes(row, withNames, lang) {
+      if (row.missing) return t(lang, 'views.noTimes');
+      return prayerOrder.map(prayerKey => withNames ? `${getPrayerName(prayerKey, lang)} ${row[prayerKey]}` : row[prayerKey]).join(' • ');
+  }
+
+  async function getDayMessageAndKeyboard(cityId, date, lang) {
+      const city = await getCity(cityId);
+      const [row] = await getPrayerTimesForRange(city.id, date, 1);
+      let message = t(lang, 'views.dayTitle', { weekday: getWeekdayName(date, lang), city: getCityName(city, lang), date, hijri: formatHijriDate(date, lang) }) + '\n\n';
+      if (row.missing) {
+          message += t(lang, 'views.dayMissing');
+      } else {
+          prayerOrder.forEach(prayerKey => {
+              message += `${getPrayerName(prayerKey, lang)}: ${row[prayerKey]}\n`;
+          });
+          if (row.source === 'computed') {
+              message += `\n${t(lang, 'common.computedNotice')}`;
+          }
+      }
+      const keyboard = [[
+          { text: t(lang, 'views.previousDay'), callback_data: `view_day_${addDays(date, -1)}` },
+          { text: t(lang, 'views.nextDay'), callback_data: `view_day_${addDays(date, 1)}` }
+      ]];
+      return { message, keyboard };
+  }
+
+  async function getWeekMessageAndKeyboard(cityId, startDate, lang) {
+      const city = await getCity(cityId);
+      const rows = await getPrayerTimesForRange(city.id, startDate, 7);
+      const today = getCityDateTime(city).date;
+      let message = t(lang, 'views.weekTitle', { city: getCityName(city, lang), from: startDate, to: addDays(startDate, 6) }) + '\n\n';
+      for (const row of rows) {
+          message += `*${getWeekdayName(row.date, lang)} ${row.date}*${row.date === today ? ` ${t(lang, 'views.todayMarker')}` : ''}\n${formatRowTimes(row, true, lang)}\n\n`;
+      }
+      if (rows.some(row => row.source === 'computed')) {
+          message += t(lang, 'views.someComputed');
+      }
+      const keyboard = [[
+          { text: t(lang, 'views.previousWeek'), callback_data: `view_week_${addDays(startDate, -7)}` },
+          { text: t(lang, 'views.nextWeek'), callback_data: `view_week_${addDays(startDate, 7)}` }
+      ]];
+      return { message, keyboard };
+  }
+
+  async function getMonthMessageAndKeyboard(cityId, yearMonth, lang) {
+      const city = await getCity(cityId);
+      const rows = await getPrayerTimesForRange(city.id, `${yearMonth}-01`, getDaysInMonth(yearMonth));
+      const today = getCityDateTime(city).date;
+      let message = t(lang, 'views.monthTitle', { month: yearMonth, city: getCityName(city, lang) }) + '\n';
+      message += `${prayerOrder.map(prayerKey => getPrayerName(prayerKey, lang)).join(' • ')}\n\n`;
+      for (const row of rows) {
+          message += `\`${row.date.slice(8)}\` ${getWeekdayName(row.date, lang)}: ${formatRowTimes(row, false, lang)}${row.date === today ? ' ⬅️' : ''}\n`;
+      }
+      if (rows.some(row => row.source === 'computed')) {
+          message += `\n${t(lang, 'views.someComputed')}`;
+      }
+      const keyboard = [
+          [
+              { text: t(lang, 'views.previousMonth'), callback_data: `view_month_${addMonths(yearMonth, -1)}` },
+              { text: t(lang, 'views.nextMonth'), callback_data: `view_month_${addMonths(yearMonth, 1)}` }
+          ],
+          [{ text: t(lang, 'views.printable'), callback_data: `view_pdf_${yearMonth}` }]
+      ];
+      return { message, keyboard };
+  }
+
+  // Printable monthly timetable, sent as a PDF document
+  async function sendMonthlyTimetablePdf(chatId, cityId, yearMonth, lang) {
+      const city = await getCity(cityId);
+      const rows = (await getPrayerTimesForRange(city.id, `${yearMonth}-01`, getDaysInMonth(yearMonth))).filter(row => !row.missing);
+      if (rows.length === 0) {
+          await bot.sendMessage(chatId, t(lang, 'views.monthMissing', { month: yearMonth }));
+          return;
+      }
+      // Built-in PDF fonts have no Arabic glyphs, so the city is labelled by its id
+      const cityLabel = city.id.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
+      const monthLabel = new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+          .format(new Date(`${yearMonth}-01T00:00:00Z`));
+      const pdf = await renderMonthlyTimetablePdf({
+          title: `Prayer Times - ${cityLabel}`,
+          subtitle: `${monthLabel} (local time, ${getCityTimezone(city)})`,
+          rows
+      });
+      await bot.sendDocument(chatId, pdf, { caption: t(lang, 'views.pdfCaption', { month: yearMonth, city: getCityName(city, lang) }) }, {
+          filename: `prayer-times-${city.id}-${yearMonth}.pdf`,
+          contentType: 'application/pdf'
+      });
+  }
+
+  bot.onText(buttonOrCommand('keyboard.week', 'week'), async (msg) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      try {
+          const { message, keyboard } = await getWeekMessageAndKeyboard(await getChatCityId(chatId), await getChatToday(chatId), lang);
+          bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+      } catch (error) {
+          console.error(`❌ Error handling /week command for ${chatId}:`, error);
+          bot.sendMessage(chatId, t(lang, 'common.fetchError'));
+      }
+  });
+
+  bot.onText(/^\/month(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      const yearMonth = match[1] || (await getChatToday(chatId)).slice(0, 7);
+      if (!isViewableMonth(yearMonth)) {
+          bot.sendMessage(chatId, t(lang, 'views.invalidMonth', { command: '/month' }));
+          return;
+      }
+      try {
+          const { message, keyboard } = await getMonthMessageAndKeyboard(await getChatCityId(chatId), yearMonth, lang);
+          bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+      } catch (error) {
+          console.error(`❌ Error handling /month command for ${chatId}:`, error);
+          bot.sendMessage(chatId, t(lang, 'common.fetchError'));
+      }
+  });
+
+  bot.onText(/^\/date(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      const date = match[1];
+      if (!isViewableDate(date)) {
+          bot.sendMessage(chatId, t(lang, 'views.invalidDate'));
+          return;
+      }
+      try {
+          const { message, keyboard } = await getDayMessageAndKeyboard(await getChatCityId(chatId), date, lang);
+          bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } });
+      } catch (error) {
+          console.error(`❌ Error handling /date command for ${chatId}:`, error);
+          bot.sendMessage(chatId, t(lang, 'common.fetchError'));
+      }
+  });
+
+  bot.onText(/^\/timetable(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, msg.from);
+      const yearMonth = match[1] || (await getChatToday(chatId)).slice(0, 7);
+      if (!isViewableMonth(yearMonth)) {
+          bot.sendMessage(chatId, t(lang, 'views.invalidMonth', { command: '/timetable' }));
+          return;
+      }
+      try {
+          await sendMonthlyTimetablePdf(chatId, await getChatCityId(chatId), yearMonth, lang);
+      } catch (error) {
+          console.error(`❌ Error handling /timetable command for ${chatId}:`, error);
+          bot.sendMessage(chatId, t(lang, 'views.pdfError'));
+      }
+  });
+
+  async function handleViewCallback(callbackQuery) {
+      const msg = callbackQuery.message;
+      const chatId = msg.chat.id;
+      const lang = await getChatLanguage(chatId, callbackQuery.from);
+      const match = callbackQuery.data.match(/^view_(day|week|month|pdf)_(.+)$/);
+      const valid = match && (match[1] === 'day' || match[1] === 'week' ? isViewableDate(match[2]) : isViewableMonth(match[2]));
+      if (!valid) {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'views.invalidPeriod') });
+          return;
+      }
+      const [, view, value] = match;
+      const cityId = await getChatCityId(chatId);
+
+      if (view === 'pdf') {
+          bot.answerCallbackQuery(callbackQuery.id, { text: t(lang, 'views.pdfGenerating') });
+          await sendMonthlyTimetablePdf(chatId, cityId, value, lang);
+          return;
+      }
+      const { message, keyboard } = view === 'day'
+          ? await getDayMessageAndKeyboard(cityId, value, lang)
+          : view === 'week'
+              ? await getWeekMessageAndKeyboard(cityId, value, lang)
+              : await getMonthMessageAndKeyboard(cityId, value, lang);
+      await editInlineMenu(msg, message, keyboard);
+      bot.answerCallbackQuery(callbackQuery.id);
+  }
+
+  return {
+    callbacks: { view_: handleViewCallback },
+  };
+}
+
+module.exports = { registerViewHandlers };
@@ -0,0 +1,310 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./storage/fileUtils');
+const { t } = require('./i18n');
+const { systemClock } = require('./time');
+
+// --- BROADCAST ENGINE ---
+// Each broadcast is a job under DATA_PATH/broadcasts: "<id>.json" holds the state and
+// "<id>.recipients.json" the chat ids captured on confirmation. The cursor is saved before
+// every send, so after a restart the job resumes where it stopped without double-sending.
+const BROADCAST_MAX_RETRIES = 5;
+const BROADCAST_PROGRESS_INTERVAL_MS = 5000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Text (optionally Markdown) or a photo with an optional caption
+function getBroadcastContent(msg) {
+  if (msg.photo && msg.photo.length > 0) {
+    const largest = msg.photo[msg.photo.length - 1];
+    return { type: 'photo', fileId: largest.file_id, caption: msg.caption || '', parseMode: null };
+  }
+  if (msg.text) {
+    return { type: 'text', text: msg.text, parseMode: null };
+  }
+  return null;
+}
+
+function createBroadcaster({ config, store, scheduler, bot, clock = systemClock }) {
+  const { DATA_PATH, BROADCAST_RATE_PER_SECOND } = config;
+  const BROADCASTS_PATH = path.join(DATA_PATH, 'broadcasts');
+  const cancelledBroadcasts = new Set();
+  let broadcastWorkerRunning = false;
+
+  function broadcastJobPath(id) {
+    return path.join(BROADCASTS_PATH, `${id}.json`);
+  }
+
+  function broadcastRecipientsPath(id) {
+    return path.join(BROADCASTS_PATH, `${id}.recipients.json`);
+  }
+
+  async function saveBroadcastJob(job) {
+    await fsp.mkdir(BROADCASTS_PATH, { recursive: true });
+    await writeFileAtomic(broadcastJobPath(job.id), JSON.stringify(job, null, 2));
+  }
+
+  async function loadBroadcastJob(id) {
+    try {
+      return JSON.parse(await fsp.readFile(broadcastJobPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function listBroadcastJobs() {
+    let files;
+    try {
+      files = await fsp.readdir(BROADCASTS_PATH);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const jobs = [];
+    for (const file of files) {
+      const match = file.match(/^([a-z0-9]+)\.json$/);
+      if (!match) continue;
+      const job = await loadBroadcastJob(match[1]);
+      if (job) jobs.push(job);
+    }
+    return jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  function sendBroadcastContent(chatId, content, extra = {}) {
+    const options = { ...extra };
+    if (content.parseMode) options.parse_mode = content.parseMode;
+    if (content.type === 'photo') {
+      if (content.caption) options.caption = content.caption;
+      return bot.sendPhoto(chatId, content.fileId, options);
+    }
+    return bot.sendMessage(chatId, content.text, options);
+  }
+
+  // `language` is the admin's, used for the preview, progress and report messages
+  async function createBroadcastDraft(adminChatId, content, language) {
+    const job = {
+      id: clock.now().getTime().toString(36) + crypto.randomBytes(3).toString('hex'),
+      createdBy: adminChatId,
+      language,
+      createdAt: clock.now().toISOString(),
+      status: 'draft',
+      content,
+      total: 0,
+      index: 0,
+      sent: 0,
+      failed: 0,
+      removed: 0
+    };
+    await saveBroadcastJob(job);
+    return job;
+  }
+
+  function getBroadcastPreviewKeyboard(job) {
+    const lang = job.language;
+    return [
+      [
+        { text: t(lang, 'broadcast.confirm'), callback_data: `broadcast_confirm_${job.id}` },
+        { text: t(lang, 'broadcast.cancel'), callback_data: `broadcast_cancel_${job.id}` }
+      ],
+      [{ text: t(lang, job.content.parseMode ? 'broadcast.plainText' : 'broadcast.markdown'), callback_data: `broadcast_format_${job.id}` }]
+    ];
+  }
+
+  function getBroadcastStopKeyboard(job) {
+    return { inline_keyboard: [[{ text: t(job.language, 'broadcast.stop'), callback_data: `broadcast_stop_${job.id}` }]] };
+  }
+
+  async function sendBroadcastPreview(job) {
+    const reply_markup = { inline_keyboard: getBroadcastPreviewKeyboard(job) };
+    await bot.sendMessage(job.createdBy, t(job.language, 'broadcast.preview'));
+    try {
+      await sendBroadcastContent(job.createdBy, job.content, { reply_markup });
+    } catch (error) {
+      // Usually Markdown that Telegram cannot parse; the admin can switch back to plain text
+      await bot.sendMessage(job.createdBy, t(job.language, 'broadcast.previewError', { error: error.message }), { reply_markup });
+    }
+  }
+
+  function formatBroadcastProgress(job) {
+    const lang = job.language;
+    const percent = job.total > 0 ? Math.floor((job.index / job.total) * 100) : 100;
+    return `${t(lang, `broadcast.status.${job.status}`)}\n\n` +
+      t(lang, 'broadcast.progress', {
+        index: job.index,
+        total: job.total,
+        percent,
+        sent: job.sent,
+        failed: job.failed,
+        removed: job.removed
+      });
+  }
+
+  async function updateBroadcastProgress(job) {
+    if (!job.progressMessageId) return;
+    const active = job.status === 'queued' || job.status === 'running';
+    const reply_markup = active ? getBroadcastStopKeyboard(job) : { inline_keyboard: [] };
+    try {
+      await bot.editMessageText(formatBroadcastProgress(job), {
+        chat_id: job.createdBy,
+        message_id: job.progressMessageId,
+        reply_markup
+      });
+    } catch (error) {
+      if (!(error.response && error.response.body && /message is not modified/.test(error.response.body.description))) {
+        console.error(`❌ Failed to update progress of broadcast ${job.id}:`, error.message);
+      }
+    }
+  }
+
+  // Ids of the drafts being confirmed, so a double tap on "confirm" cannot start one twice
+  const startingBroadcasts = new Set();
+
+  // Snapshot the current subscribers and hand the job to the worker. Returns false when the draft was
+  // already started (or is being started) by another tap.
+  async function startBroadcast(job) {
+    if (startingBroadcasts.has(job.id)) return false;
+    startingBroadcasts.add(job.id);
+    try {
+      const saved = await loadBroadcastJob(job.id);
+      if (!saved || saved.status !== 'draft') return false;
+
+      const subscribers = await store.loadSubscribersCache();
+      const recipients = subscribers.map(s => s.chatId);
+      await fsp.mkdir(BROADCASTS_PATH, { recursive: true });
+      await writeFileAtomic(broadcastRecipientsPath(job.id), JSON.stringify(recipients));
+
+      job.status = 'queued';
+      job.total = recipients.length;
+      job.confirmedAt = clock.now().toISOString();
+      const progress = await bot.sendMessage(job.createdBy, formatBroadcastProgress(job), {
+        reply_markup: getBroadcastStopKeyboard(job)
+      });
+      job.progressMessageId = progress.message_id;
+      await saveBroadcastJob(job);
+    } finally {
+      startingBroadcasts.delete(job.id);
+    }
+    await store.appendAuditLog(`telegram:${job.createdBy}`, 'broadcast.start', `Broadcast ${job.id} queued for ${job.total} subscribers`, {
+      id: job.id,
+      type: job.content.type,
+      recipients: job.total
+    });
+
+    runBroadcastWorker();
+    return true;
+  }
+
+  // 'sent', 'removed' (the chat blocked the bot or no longer exists) or 'failed'
+  async function deliverBroadcast(chatId, content) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await sendBroadcastContent(chatId, content);
+        return 'sent';
+      } catch (error) {
+        const response = error.response || {};
+        const body = response.body || {};
+        if (response.statusCode === 429 && attempt < BROADCAST_MAX_RETRIES) {
+          const retryAfter = (body.parameters && body.parameters.retry_after) || 1;
+          console.warn(`⏳ Rate limited by Telegram, retrying ${chatId} in ${retryAfter}s`);
+          await sleep(retryAfter * 1000);
+          continue;
+        }
+        if (response.statusCode === 403 || (response.statusCode === 400 && /chat not found|user is deactivated/i.test(body.description || ''))) {
+          console.log(`🚫 User ${chatId} blocked the bot. Removing from subscribers.`);
+          await store.removeSubscriber(chatId, 'system:blocked');
+          await scheduler.removeChat(chatId);
+          return 'removed';
+        }
+        console.error(`❌ Broadcast failed for ${chatId}:`, error.message);
+        return 'failed';
+      }
+    }
+  }
+
+  async function processBroadcastJob(job) {
+    const recipients = JSON.parse(await fsp.readFile(broadcastRecipientsPath(job.id), 'utf8'));
+    if (job.status === 'queued') {
+      job.status = 'running';
+      job.startedAt = clock.now().toISOString();
+    } else {
+      console.log(`🔁 Resuming broadcast ${job.id} at ${job.index}/${job.total}`);
+    }
+    await saveBroadcastJob(job);
+    await updateBroadcastProgress(job);
+
+    const delay = 1000 / BROADCAST_RATE_PER_SECOND;
+    let lastProgressAt = clock.now().getTime();
+    while (job.index < recipients.length) {
+      if (cancelledBroadcasts.has(job.id)) {
+        job.status = 'cancelled';
+        break;
+      }
+      const chatId = recipients[job.index];
+      // Advance the cursor before sending (at-most-once across restarts)
+      job.index++;
+      await saveBroadcastJob(job);
+      job[await deliverBroadcast(chatId, job.content)]++;
+
+      if (clock.now().getTime() - lastProgressAt >= BROADCAST_PROGRESS_INTERVAL_MS) {
+        lastProgressAt = clock.now().getTime();
+        await updateBroadcastProgress(job);
+      }
+      await sleep(delay);
+    }
+
+    cancelledBroadcasts.delete(job.id);
+    if (job.status === 'running') job.status = 'completed';
+    job.finishedAt = clock.now().toISOString();
+    await saveBroadcastJob(job);
+    await updateBroadcastProgress(job);
+    await bot.sendMessage(job.createdBy, `${t(job.language, 'broadcast.report')}\n\n${formatBroadcastProgress(job)}`);
+    await store.appendAuditLog(`telegram:${job.createdBy}`, `broadcast.${job.status}`, `Broadcast ${job.id} ${job.status}: ${job.sent} sent, ${job.failed} failed, ${job.removed} removed`, {
+      id: job.id,
+      total: job.total,
+      sent: job.sent,
+      failed: job.failed,
+      removed: job.removed
+    });
+    console.log(`📢 Broadcast ${job.id} ${job.status}: ${job.sent}/${job.total} sent, ${job.failed} failed, ${job.removed} removed`);
+  }
+
+  // Runs queued jobs one at a time; also called on startup to resume an interrupted job
+  async function runBroadcastWorker() {
+    if (broadcastWorkerRunning) return;
+    broadcastWorkerRunning = true;
+    try {
+      let job;
+      while ((job = (await listBroadcastJobs()).find(j => j.status === 'running' || j.status === 'queued'))) {
+        await processBroadcastJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Error in broadcast worker:', error);
+    } finally {
+      broadcastWorkerRunning = false;
+    }
+  }
+
+  // Stops a queued or running job; a queued job nobody is working on is cancelled right away
+  async function stopBroadcast(job) {
+    cancelledBroadcasts.add(job.id);
+    if (job.status === 'queued' && !broadcastWorkerRunning) {
+      job.status = 'cancelled';
+      await saveBroadcastJob(job);
+      await updateBroadcastProgress(job);
+    }
+  }
+
+  return {
+    loadBroadcastJob,
+    saveBroadcastJob,
+    createBroadcastDraft,
+    sendBroadcastPreview,
+    startBroadcast,
+    stopBroadcast,
+    runBroadcastWorker,
+  };
+}
+
+module.exports = { createBroadcaster, getBroadcastContent };
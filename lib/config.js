@@ -0,0 +1,98 @@
+const path = require('path');
+const { isValidTimeZone } = require('./time');
+
+function parseApiTokens(value) {
+  if (!value) return [];
+  return value.split(',')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const separator = pair.indexOf(':');
+      return separator === -1
+        ? { name: 'api', token: pair }
+        : { name: pair.slice(0, separator), token: pair.slice(separator + 1) };
+    })
+    .filter(entry => entry.token);
+}
+
+// Settings read from the environment once at startup. Tests build one from a plain object.
+function loadConfig(env = process.env) {
+  return {
+    PORT: env.PORT || 3001,
+
+    // FIX: Hardcoded secrets are a security risk. Load from environment variables.
+    TELEGRAM_TOKEN: env.TELEGRAM_TOKEN,
+    ADMIN_CHAT_ID: env.ADMIN_CHAT_ID,
+
+    // TELEGRAM_MODE=webhook receives updates on the Express app instead of long polling, so several
+    // replicas can run side by side (two pollers get 409 Conflict). Polling stays the default for local development.
+    TELEGRAM_MODE: env.TELEGRAM_MODE || 'polling',
+    TELEGRAM_WEBHOOK_URL: env.TELEGRAM_WEBHOOK_URL,
+    TELEGRAM_WEBHOOK_SECRET: env.TELEGRAM_WEBHOOK_SECRET,
+    // Off by default: during a rolling deploy the old replica would unregister the webhook the new one just set
+    TELEGRAM_WEBHOOK_DELETE_ON_SHUTDOWN: env.TELEGRAM_WEBHOOK_DELETE_ON_SHUTDOWN === 'true',
+
+    // Write access to the HTTP API. ADMIN_API_TOKENS is a comma-separated list of name:token pairs,
+    // the name is what ends up in the audit log. ADMIN_API_HMAC_SECRET enables signed requests instead.
+    ADMIN_API_TOKENS: parseApiTokens(env.ADMIN_API_TOKENS),
+    ADMIN_API_HMAC_SECRET: env.ADMIN_API_HMAC_SECRET,
+    CORS_ORIGINS: env.CORS_ORIGINS ? env.CORS_ORIGINS.split(',').map(o => o.trim()).filter(Boolean) : null,
+
+    // Use persistent storage path if available (for Coolify), otherwise use a local 'data' folder.
+    DATA_PATH: env.DATA_PATH || path.join(__dirname, '..', 'data'),
+
+    // Subscribers, prayer times and cities live behind the storage layer: "json" (files in DATA_PATH)
+    // or "sqlite" (SQLITE_PATH). Use `npm run migrate:sqlite` once before switching to sqlite.
+    STORAGE_BACKEND: env.STORAGE_BACKEND || 'json',
+    SQLITE_PATH: env.SQLITE_PATH,
+
+    // Notifications missed while the process was down are still sent if they are at most this late
+    CATCH_UP_GRACE_MINUTES: parseInt(env.CATCH_UP_GRACE_MINUTES || '10', 10),
+
+    // IANA timezone of the dates and times in the timetables. Cities can override it with their own `timezone`.
+    TIMEZONE: env.TIMEZONE || 'Africa/Algiers',
+
+    // The city used for subscribers who have not picked one, and for timetables uploaded without a city
+    DEFAULT_CITY_ID: env.DEFAULT_CITY_ID || 'ain-salah',
+    DEFAULT_CITY_NAME: env.DEFAULT_CITY_NAME || 'عين صالح',
+    // Coordinates used to compute fallback prayer times for the default city
+    DEFAULT_CITY_LATITUDE: parseFloat(env.DEFAULT_CITY_LATITUDE || '27.1972'),
+    DEFAULT_CITY_LONGITUDE: parseFloat(env.DEFAULT_CITY_LONGITUDE || '2.4833'),
+    DEFAULT_CALCULATION_METHOD: env.DEFAULT_CALCULATION_METHOD || 'algeria',
+    // How many days ahead missing timetable rows are filled with computed times
+    COMPUTED_DAYS_AHEAD: parseInt(env.COMPUTED_DAYS_AHEAD || '7', 10),
+
+    BROADCAST_RATE_PER_SECOND: parseFloat(env.BROADCAST_RATE_PER_SECOND || '20'),
+  };
+}
+
+// FIX: Ensure the application fails fast if critical configuration is missing.
+// Returns the problems that prevent the bot from starting (empty when the config is usable).
+function validateConfig(config) {
+  const errors = [];
+  if (!config.TELEGRAM_TOKEN) {
+    errors.push('TELEGRAM_TOKEN environment variable is not set.');
+  }
+  if (!['polling', 'webhook'].includes(config.TELEGRAM_MODE)) {
+    errors.push(`TELEGRAM_MODE must be "polling" or "webhook", got "${config.TELEGRAM_MODE}".`);
+  }
+  if (config.TELEGRAM_MODE === 'webhook') {
+    if (!config.TELEGRAM_WEBHOOK_URL || !/^https:\/\//.test(config.TELEGRAM_WEBHOOK_URL)) {
+      errors.push('TELEGRAM_WEBHOOK_URL must be set to a public https URL in webhook mode.');
+    }
+    // Telegram only accepts 1-256 characters from this set as a secret token
+    if (!config.TELEGRAM_WEBHOOK_SECRET || !/^[A-Za-z0-9_-]{1,256}$/.test(config.TELEGRAM_WEBHOOK_SECRET)) {
+      errors.push('TELEGRAM_WEBHOOK_SECRET must be set (letters, digits, "_" and "-") in webhook mode.');
+    }
+  }
+  // 1000 / 0 would be an Infinity delay, which setTimeout runs at once: no rate limit at all
+  if (!(config.BROADCAST_RATE_PER_SECOND > 0)) {
+    errors.push(`BROADCAST_RATE_PER_SECOND must be a number above 0, got "${config.BROADCAST_RATE_PER_SECOND}".`);
+  }
+  if (!isValidTimeZone(config.TIMEZONE)) {
+    errors.push(`TIMEZONE must be an IANA timezone such as "Africa/Algiers", got "${config.TIMEZONE}".`);
+  }
+  return errors;
+}
+
+module.exports = { loadConfig, validateConfig };
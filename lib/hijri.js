@@ -0,0 +1,18 @@
+// Offline Gregorian -> Hijri conversion using the Umm al-Qura calendar bundled with ICU.
+// Local moon sighting can start a month a day or two apart, so callers pass an offset in days.
+// Month names are in the locale catalogs (hijri.months).
+const RAMADAN_MONTH = 9;
+
+const formatter = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura', {
+  timeZone: 'UTC', year: 'numeric', month: 'numeric', day: 'numeric'
+});
+
+// `date` is a Gregorian YYYY-MM-DD string. Returns { year, month, day } with month 1-12.
+function toHijri(date, offsetDays = 0) {
+  const [year, month, day] = date.split('-').map(Number);
+  const parts = formatter.formatToParts(new Date(Date.UTC(year, month - 1, day + offsetDays, 12)));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day') };
+}
+
+module.exports = { toHijri, RAMADAN_MONTH };
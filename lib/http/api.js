@@ -0,0 +1,695 @@
+const express = require('express');
+const cors = require('cors');
+const crypto = require('crypto');
+const { t, resolveLanguage, SUPPORTED_LANGUAGES } = require('../i18n');
+const { getLocalDateTime, localTimeToInstant, isValidTimeZone, addDays } = require('../time');
+const {
+  prayerOrder, isValidDateString, isValidTimeString, CALCULATION_METHODS, comparePrayerTimes, getPrayerInstants, hasCoordinates, ASR_FACTORS
+} = require('../prayerTimes');
+const { getPrayerName } = require('../settings');
+const {
+  getCityName, isValidHijriConfig, validateContentItem, HIJRI_OFFSET_LIMIT, RAMADAN_MODES, CONTENT_TYPES
+} = require('../store');
+const { TEMPLATE_IDS, TEMPLATE_PLACEHOLDERS, getTemplateType, validateTemplate } = require('../templates');
+const { createApiAuth, safeEqual } = require('./auth');
+
+const CITY_ID_REGEX = /^[a-z0-9-]{1,32}$/;
+
+// The Express app: admin write endpoints, the public read API, health/metrics and the Telegram webhook
+function createApi({ config, store, scheduler, bot, clock, metrics, getSystemStatus }) {
+  const {
+    appendAuditLog, readAuditLog, loadCityPrayerTimes, updatePrayerTimes, getPrayerTimesForRange, loadCities,
+    saveCities, getCityTimezone, getCityDateTime, updateHijriConfig, getHijriDate, formatHijriDate, isRamadanDate, upsertContentItem,
+    removeContentItem, getTemplates, setTemplate, resetTemplate, previewTemplate
+  } = store;
+  const {
+    DEFAULT_CITY_ID, DEFAULT_CALCULATION_METHOD, CORS_ORIGINS, TELEGRAM_MODE, TELEGRAM_WEBHOOK_URL,
+    TELEGRAM_WEBHOOK_SECRET, TIMEZONE
+  } = config;
+  const app = express();
+  const requireApiAuth = createApiAuth({ ...config, clock });
+
+  // --- MIDDLEWARE ---
+  app.use(cors(CORS_ORIGINS ? { origin: CORS_ORIGINS } : undefined));
+  app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body around for HMAC signature verification
+    verify: (req, res, buf) => { req.rawBody = buf; }
+  }));
+
+  // --- API ENDPOINTS ---
+  // Body: either an array of rows for one city (?city=<id>, defaults to DEFAULT_CITY_ID)
+  // or an object keyed by city id: { "<cityId>": [rows...] }.
+  // Query options:
+  //   mode=replace (default) overwrites the timetable of each city in the body, mode=merge upserts rows by date.
+  //   dryRun=true validates and returns the diff without saving anything.
+  app.post('/api/update_times', requireApiAuth, async (req, res) => {
+    try {
+      const body = req.body;
+      let timetables;
+      if (Array.isArray(body)) {
+        timetables = { [req.query.city || DEFAULT_CITY_ID]: body };
+      } else if (body && typeof body === 'object' && Object.values(body).every(Array.isArray)) {
+        timetables = body;
+      } else {
+        return res.status(400).json({ message: 'Invalid data format. Expected an array, or an object of arrays keyed by city.' });
+      }
+
+      const mode = req.query.mode || 'replace';
+      if (mode !== 'replace' && mode !== 'merge') {
+        return res.status(400).json({ message: `Invalid mode "${mode}". Expected "replace" or "merge".` });
+      }
+      const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+
+      const result = await updatePrayerTimes(timetables, { mode, dryRun, actor: req.actor });
+      if (result.errors) {
+        return res.status(400).json({ message: result.message, errors: result.errors });
+      }
+      if (!dryRun) await scheduler.buildDailyQueue();
+      res.status(200).json({ message: result.message, mode, diff: result.diff });
+    } catch (error) {
+      console.error('Error updating prayer times:', error);
+      res.status(500).json({ message: 'Failed to update prayer times.' });
+    }
+  });
+
+  app.get('/api/cities', async (req, res) => {
+    try {
+      // Cities without a timezone of their own use the configured TIMEZONE
+      res.status(200).json((await loadCities()).map(city => ({ ...city, timezone: getCityTimezone(city) })));
+    } catch (error) {
+      console.error('Error loading cities:', error);
+      res.status(500).json({ message: 'Failed to load cities.' });
+    }
+  });
+
+  // Adds or updates a city. Body: { id, name, names?, latitude?, longitude?, method?, asrMethod?, adjustments?, timezone?, jumuahTime? }
+  // names translates the city name per language, e.g. { "fr": "In Salah" }. timezone is the IANA timezone
+  // of the city's timetable, e.g. "Africa/Tunis"; null goes back to the configured TIMEZONE.
+  // jumuahTime ('HH:mm') is the Friday prayer time when it differs from dhuhr; null goes back to dhuhr.
+  // Coordinates enable computed fallback times; adjustments are per-prayer minute offsets applied to them.
+  app.post('/api/cities', requireApiAuth, async (req, res) => {
+    try {
+      const { id, name, names, latitude, longitude, method, asrMethod, adjustments, timezone, jumuahTime } = req.body || {};
+      if (typeof id !== 'string' || !CITY_ID_REGEX.test(id)) {
+        return res.status(400).json({ message: 'Invalid city id. Use 1-32 lowercase letters, digits or dashes.' });
+      }
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ message: 'City name is required.' });
+      }
+      if ((latitude === undefined) !== (longitude === undefined)) {
+        return res.status(400).json({ message: 'latitude and longitude must be provided together.' });
+      }
+      if (latitude !== undefined && (typeof latitude !== 'number' || Math.abs(latitude) > 90 || typeof longitude !== 'number' || Math.abs(longitude) > 180)) {
+        return res.status(400).json({ message: 'Invalid coordinates.' });
+      }
+      if (method !== undefined && !CALCULATION_METHODS[method]) {
+        return res.status(400).json({ message: `Invalid method. Expected one of: ${Object.keys(CALCULATION_METHODS).join(', ')}.` });
+      }
+      if (asrMethod !== undefined && !ASR_FACTORS[asrMethod]) {
+        return res.status(400).json({ message: `Invalid asrMethod. Expected one of: ${Object.keys(ASR_FACTORS).join(', ')}.` });
+      }
+      if (adjustments !== undefined && (typeof adjustments !== 'object' || adjustments === null
+          || Object.entries(adjustments).some(([key, value]) => !prayerOrder.includes(key) || typeof value !== 'number'))) {
+        return res.status(400).json({ message: 'Invalid adjustments. Expected minute offsets keyed by prayer.' });
+      }
+      if (names !== undefined && (typeof names !== 'object' || names === null
+          || Object.entries(names).some(([lang, value]) => !SUPPORTED_LANGUAGES.includes(lang) || typeof value !== 'string' || !value.trim()))) {
+        return res.status(400).json({ message: `Invalid names. Expected city names keyed by language (${SUPPORTED_LANGUAGES.join(', ')}).` });
+      }
+      if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) {
+        return res.status(400).json({ message: 'Invalid timezone. Expected an IANA timezone such as "Africa/Algiers".' });
+      }
+      if (jumuahTime !== undefined && jumuahTime !== null && !isValidTimeString(jumuahTime)) {
+        return res.status(400).json({ message: 'Invalid jumuahTime. Expected HH:mm.' });
+      }
+
+      const cities = [...await loadCities()];
+      const index = cities.findIndex(c => c.id === id);
+      const city = { ...(index === -1 ? {} : cities[index]), id, name: name.trim() };
+      if (latitude !== undefined) Object.assign(city, { latitude, longitude });
+      if (method !== undefined) city.method = method;
+      if (asrMethod !== undefined) city.asrMethod = asrMethod;
+      if (adjustments !== undefined) city.adjustments = adjustments;
+      if (names !== undefined) city.names = names;
+      if (timezone === null) delete city.timezone;
+      else if (timezone !== undefined) city.timezone = timezone;
+      if (jumuahTime === null) delete city.jumuahTime;
+      else if (jumuahTime !== undefined) city.jumuahTime = jumuahTime;
+      if (index === -1) {
+        cities.push(city);
+      } else {
+        cities[index] = city;
+      }
+      await saveCities(cities);
+      // A new timezone (or Jumu'ah time) moves notifications of the city's subscribers
+      if (timezone !== undefined || jumuahTime !== undefined) await scheduler.buildDailyQueue();
+      await appendAuditLog(req.actor, 'cities.upsert', `${index === -1 ? 'Added' : 'Updated'} city ${id} (${city.name})`, city);
+      res.status(200).json(city);
+    } catch (error) {
+      console.error('Error saving city:', error);
+      res.status(500).json({ message: 'Failed to save city.' });
+    }
+  });
+
+  // Compares uploaded (official) rows with computed times to catch extraction errors.
+  // Query: city, from, to (YYYY-MM-DD, optional), method, asrMethod, threshold (minutes, default 5)
+  app.get('/api/prayer_times/compare', requireApiAuth, async (req, res) => {
+    try {
+      const cityId = req.query.city || DEFAULT_CITY_ID;
+      const cities = await loadCities();
+      const city = cities.find(c => c.id === cityId);
+      if (!city) {
+        return res.status(404).json({ message: `Unknown city "${cityId}".` });
+      }
+      if (!hasCoordinates(city)) {
+        return res.status(400).json({ message: `City "${cityId}" has no coordinates configured.` });
+      }
+      const method = req.query.method || city.method || DEFAULT_CALCULATION_METHOD;
+      const asrMethod = req.query.asrMethod || city.asrMethod || 'shafi';
+      if (!CALCULATION_METHODS[method] || !ASR_FACTORS[asrMethod]) {
+        return res.status(400).json({ message: 'Invalid method or asrMethod.' });
+      }
+      const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : 5;
+      if (isNaN(threshold) || threshold < 0) {
+        return res.status(400).json({ message: 'Invalid threshold.' });
+      }
+
+      const rows = (await loadCityPrayerTimes(cityId))
+        .filter(row => (!req.query.from || row.date >= req.query.from) && (!req.query.to || row.date <= req.query.to));
+      const comparison = comparePrayerTimes(city, rows, { method, asrMethod, timeZone: getCityTimezone(city), threshold });
+      res.status(200).json({
+        city: cityId,
+        method,
+        asrMethod,
+        threshold,
+        compared: comparison.length,
+        flaggedCount: comparison.filter(row => row.flagged.length > 0).length,
+        rows: comparison
+      });
+    } catch (error) {
+      console.error('Error comparing prayer times:', error);
+      res.status(500).json({ message: 'Failed to compare prayer times.' });
+    }
+  });
+
+  // --- PRAYER TIMES READ API ---
+  // Public, read-only endpoints for the website and display screens. Dates and times are on the wall
+  // clock of the city's timezone; missing days are computed the same way the bot computes them.
+  // Names (prayers, cities, Hijri months) follow ?lang=ar|fr|en, Arabic by default.
+  const API_MAX_RANGE_DAYS = 366;
+  const ICS_DEFAULT_DAYS = 30;
+  const ICS_MAX_DAYS = 90;
+  function getApiLanguage(req) {
+    return resolveLanguage(req.query.lang);
+  }
+
+  function formatApiCity(city, lang) {
+    return { id: city.id, name: getCityName(city, lang), timezone: getCityTimezone(city) };
+  }
+
+  function formatApiHijri(date, lang) {
+    return { ...getHijriDate(date), formatted: formatHijriDate(date, lang) };
+  }
+
+  function formatApiRow(row, lang) {
+    const result = { date: row.date, hijri: formatApiHijri(row.date, lang) };
+    for (const prayerKey of prayerOrder) result[prayerKey] = row[prayerKey];
+    result.source = row.source === 'computed' ? 'computed' : 'official';
+    if (row.method) result.method = row.method;
+    return result;
+  }
+
+  // Sets ETag/Last-Modified and sends the body; express answers 304 on its own when the request is fresh.
+  // `since` raises Last-Modified for responses that change with the date (e.g. the start of today).
+  function sendWithValidators(req, res, body, { contentType = 'application/json', since = 0 } = {}) {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    const lastModified = Math.max(store.getCacheStatus().prayerTimesLastModified, since);
+    res.set({
+      'ETag': `"${crypto.createHash('sha1').update(payload).digest('base64url')}"`,
+      'Last-Modified': new Date(Math.floor(lastModified / 1000) * 1000).toUTCString(),
+      'Cache-Control': 'no-cache',
+      'Content-Type': contentType
+    });
+    res.status(200).send(payload);
+  }
+
+  // Resolves ?city= (default city when omitted); sends a 404 and returns null for unknown cities
+  async function findApiCity(req, res) {
+    const cityId = req.query.city || DEFAULT_CITY_ID;
+    const city = (await loadCities()).find(c => c.id === cityId);
+    if (!city) {
+      res.status(404).json({ message: `Unknown city "${cityId}".` });
+      return null;
+    }
+    return city;
+  }
+
+  async function sendDay(req, res, city, date, since = 0) {
+    const [row] = await getPrayerTimesForRange(city.id, date, 1);
+    if (row.missing) {
+      return res.status(404).json({ message: `No prayer times for ${date} in "${city.id}".` });
+    }
+    const lang = getApiLanguage(req);
+    sendWithValidators(req, res, { city: formatApiCity(city, lang), ...formatApiRow(row, lang) }, { since });
+  }
+
+  app.get('/api/prayer_times/today', async (req, res) => {
+    try {
+      const city = await findApiCity(req, res);
+      if (!city) return;
+      const { date } = getCityDateTime(city, clock.now());
+      await sendDay(req, res, city, date, localTimeToInstant(getCityTimezone(city), date));
+    } catch (error) {
+      console.error('Error reading today\'s prayer times:', error);
+      res.status(500).json({ message: 'Failed to load prayer times.' });
+    }
+  });
+
+  // Next prayer with a countdown. Changes every minute, so it is never cached.
+  app.get('/api/prayer_times/next', async (req, res) => {
+    try {
+      const city = await findApiCity(req, res);
+      if (!city) return;
+      const now = clock.now();
+      const timeZone = getCityTimezone(city);
+      const { date } = getCityDateTime(city, now);
+      // Yesterday's isha may still be ahead when it falls after midnight
+      const rows = (await getPrayerTimesForRange(city.id, addDays(date, -1), 3)).filter(row => !row.missing);
+      let next = null;
+      for (const row of rows) {
+        const instants = getPrayerInstants(row, timeZone);
+        const prayerKey = prayerOrder.find(key => instants[key] > now.getTime());
+        if (prayerKey) {
+          next = { row, prayerKey, at: instants[prayerKey] };
+          break;
+        }
+      }
+      if (!next) {
+        return res.status(404).json({ message: `No upcoming prayer times for "${city.id}".` });
+      }
+      const { at } = next;
+      const secondsLeft = Math.ceil((at - now.getTime()) / 1000);
+      const lang = getApiLanguage(req);
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json({
+        city: formatApiCity(city, lang),
+        now: now.toISOString(),
+        prayer: next.prayerKey,
+        name: getPrayerName(next.prayerKey, lang),
+        date: next.row.date,
+        time: next.row[next.prayerKey],
+        at: new Date(at).toISOString(),
+        secondsLeft,
+        minutesLeft: Math.ceil(secondsLeft / 60),
+        source: next.row.source === 'computed' ? 'computed' : 'official'
+      });
+    } catch (error) {
+      console.error('Error computing the next prayer:', error);
+      res.status(500).json({ message: 'Failed to load prayer times.' });
+    }
+  });
+
+  // Query: city, from, to (YYYY-MM-DD, inclusive, at most API_MAX_RANGE_DAYS days)
+  app.get('/api/prayer_times/range', async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      if (!isValidDateString(from) || !isValidDateString(to) || to < from) {
+        return res.status(400).json({ message: 'from and to must be YYYY-MM-DD dates with from <= to.' });
+      }
+      const days = Math.round((Date.parse(to) - Date.parse(from)) / 86400000) + 1;
+      if (days > API_MAX_RANGE_DAYS) {
+        return res.status(400).json({ message: `Range too long. At most ${API_MAX_RANGE_DAYS} days.` });
+      }
+      const city = await findApiCity(req, res);
+      if (!city) return;
+      const rows = await getPrayerTimesForRange(city.id, from, days);
+      const lang = getApiLanguage(req);
+      sendWithValidators(req, res, {
+        city: formatApiCity(city, lang),
+        from,
+        to,
+        days: rows.filter(row => !row.missing).map(row => formatApiRow(row, lang)),
+        missing: rows.filter(row => row.missing).map(row => row.date)
+      });
+    } catch (error) {
+      console.error('Error reading prayer times range:', error);
+      res.status(500).json({ message: 'Failed to load prayer times.' });
+    }
+  });
+
+  function escapeIcsText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+  }
+
+  // RFC 5545 lines are at most 75 octets; longer ones continue on lines starting with a space
+  function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+      const limit = parts.length === 0 ? 75 : 74;
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  function formatIcsInstant(ms) {
+    return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // iCalendar feed with one event (and an alarm) per prayer. Query: city, days (default 30, max 90), lang
+  app.get('/api/prayer_times/calendar.ics', async (req, res) => {
+    try {
+      const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : ICS_DEFAULT_DAYS;
+      if (isNaN(days) || days < 1 || days > ICS_MAX_DAYS) {
+        return res.status(400).json({ message: `days must be between 1 and ${ICS_MAX_DAYS}.` });
+      }
+      const city = await findApiCity(req, res);
+      if (!city) return;
+      const timeZone = getCityTimezone(city);
+      const { date: today } = getCityDateTime(city, clock.now());
+      const rows = (await getPrayerTimesForRange(city.id, today, days)).filter(row => !row.missing);
+      const lang = getApiLanguage(req);
+      const cityName = getCityName(city, lang);
+
+      // DTSTAMP is the data version rather than "now" so unchanged feeds keep the same ETag
+      const stamp = formatIcsInstant(Math.max(store.getCacheStatus().prayerTimesLastModified, localTimeToInstant(timeZone, today)));
+      const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//praybot//Prayer Times//AR',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(t(lang, 'calendar.name', { city: cityName }))}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT12H'
+      ];
+      for (const row of rows) {
+        const instants = getPrayerInstants(row, timeZone);
+        for (const prayerKey of prayerOrder) {
+          const start = instants[prayerKey];
+          lines.push(
+            'BEGIN:VEVENT',
+            `UID:${row.date}-${prayerKey}-${city.id}@praybot`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatIcsInstant(start)}`,
+            `DTEND:${formatIcsInstant(start + 10 * 60000)}`,
+            `SUMMARY:${escapeIcsText(t(lang, 'calendar.summary', { prayer: getPrayerName(prayerKey, lang), city: cityName }))}`,
+            'TRANSP:TRANSPARENT',
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeIcsText(t(lang, 'calendar.alarm', { prayer: getPrayerName(prayerKey, lang) }))}`,
+            'TRIGGER:PT0M',
+            'END:VALARM',
+            'END:VEVENT'
+          );
+        }
+      }
+      lines.push('END:VCALENDAR');
+      res.set('Content-Disposition', `inline; filename="prayer-times-${city.id}.ics"`);
+      sendWithValidators(req, res, lines.map(foldIcsLine).join('\r\n') + '\r\n', {
+        contentType: 'text/calendar; charset=utf-8',
+        since: localTimeToInstant(timeZone, today)
+      });
+    } catch (error) {
+      console.error('Error building the calendar feed:', error);
+      res.status(500).json({ message: 'Failed to build the calendar feed.' });
+    }
+  });
+
+  // Today's Hijri date and the moon-sighting settings
+  app.get('/api/hijri', (req, res) => {
+    const { date } = getLocalDateTime(TIMEZONE, clock.now());
+    res.status(200).json({
+      date,
+      hijri: formatApiHijri(date, getApiLanguage(req)),
+      hijriOffset: store.getAppConfig().hijriOffset,
+      ramadanMode: store.getAppConfig().ramadanMode,
+      ramadan: isRamadanDate(date)
+    });
+  });
+
+  // Body: { hijriOffset?: -2..2, ramadanMode?: "auto" | "on" | "off" }
+  app.post('/api/hijri', requireApiAuth, async (req, res) => {
+    try {
+      const { hijriOffset, ramadanMode } = req.body || {};
+      const changes = {};
+      if (hijriOffset !== undefined) changes.hijriOffset = hijriOffset;
+      if (ramadanMode !== undefined) changes.ramadanMode = ramadanMode;
+      if (Object.keys(changes).length === 0 || !isValidHijriConfig(changes)) {
+        return res.status(400).json({ message: `Expected hijriOffset (integer between -${HIJRI_OFFSET_LIMIT} and ${HIJRI_OFFSET_LIMIT}) and/or ramadanMode (${RAMADAN_MODES.join(', ')}).` });
+      }
+      const updated = await updateHijriConfig(changes, req.actor);
+      await scheduler.buildDailyQueue();
+      res.status(200).json({ hijriOffset: updated.hijriOffset, ramadanMode: updated.ramadanMode });
+    } catch (error) {
+      console.error('Error updating Hijri settings:', error);
+      res.status(500).json({ message: 'Failed to update Hijri settings.' });
+    }
+  });
+
+  // Content library (adhkar, hadith, duas). Query: type (optional)
+  app.get('/api/content', (req, res) => {
+    const { type } = req.query;
+    if (type !== undefined && !CONTENT_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Invalid type. Expected one of: ${CONTENT_TYPES.join(', ')}.` });
+    }
+    res.status(200).json(store.getContentLibrary().filter(item => !type || item.type === type));
+  });
+
+  // Adds an entry, or updates it when the id exists. Body: { id?, type, text: { ar?, fr?, en? }, source? }
+  app.post('/api/content', requireApiAuth, async (req, res) => {
+    try {
+      const { id, type, text, source } = req.body || {};
+      const errors = validateContentItem({ type, text, source });
+      if (id !== undefined && (typeof id !== 'string' || !store.getContentLibrary().some(item => item.id === id))) {
+        errors.push(`Unknown content id "${id}".`);
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid content.', errors });
+      }
+      const item = await upsertContentItem({ id, type, text, source }, req.actor);
+      await scheduler.buildDailyQueue();
+      res.status(200).json(item);
+    } catch (error) {
+      console.error('Error saving content:', error);
+      res.status(500).json({ message: 'Failed to save content.' });
+    }
+  });
+
+  app.delete('/api/content/:id', requireApiAuth, async (req, res) => {
+    try {
+      if (!await removeContentItem(req.params.id, req.actor)) {
+        return res.status(404).json({ message: 'Content not found.' });
+      }
+      await scheduler.buildDailyQueue();
+      res.status(200).json({ message: 'Content removed.' });
+    } catch (error) {
+      console.error('Error removing content:', error);
+      res.status(500).json({ message: 'Failed to remove content.' });
+    }
+  });
+
+  // --- MESSAGE TEMPLATES ---
+  // Saved adhan/reminder templates; see lib/templates.js for the ids and placeholders
+  function formatApiTemplate(id) {
+    const entry = getTemplates()[id];
+    return {
+      id,
+      placeholders: TEMPLATE_PLACEHOLDERS[getTemplateType(id)],
+      text: entry ? entry.text : {},
+      builtIn: Object.fromEntries(SUPPORTED_LANGUAGES.map(lang => [lang, t(lang, `notifications.${getTemplateType(id)}`)])),
+      ...(entry ? { updatedBy: entry.updatedBy, updatedAt: entry.updatedAt } : {})
+    };
+  }
+
+  function findTemplateId(req, res) {
+    if (!TEMPLATE_IDS.includes(req.params.id)) {
+      res.status(404).json({ message: `Unknown template "${req.params.id}". Expected one of: ${TEMPLATE_IDS.join(', ')}.` });
+      return null;
+    }
+    return req.params.id;
+  }
+
+  app.get('/api/templates', requireApiAuth, (req, res) => {
+    res.status(200).json(TEMPLATE_IDS.map(formatApiTemplate));
+  });
+
+  app.get('/api/templates/:id', requireApiAuth, (req, res) => {
+    const id = findTemplateId(req, res);
+    if (!id) return;
+    res.status(200).json(formatApiTemplate(id));
+  });
+
+  // Sets the given languages of a template. Body: { text: { ar?, fr?, en? } }
+  app.post('/api/templates/:id', requireApiAuth, async (req, res) => {
+    try {
+      const id = findTemplateId(req, res);
+      if (!id) return;
+      const { text } = req.body || {};
+      const errors = validateTemplate(id, text);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid template.', errors });
+      }
+      await setTemplate(id, text, req.actor);
+      await scheduler.buildDailyQueue();
+      res.status(200).json(formatApiTemplate(id));
+    } catch (error) {
+      console.error('Error saving template:', error);
+      res.status(500).json({ message: 'Failed to save template.' });
+    }
+  });
+
+  // The template filled with today's times of the default city. Body: { text?: { ar?, fr?, en? } } previews unsaved texts.
+  app.post('/api/templates/:id/preview', requireApiAuth, async (req, res) => {
+    try {
+      const id = findTemplateId(req, res);
+      if (!id) return;
+      const { text } = req.body || {};
+      const errors = text !== undefined ? validateTemplate(id, text) : [];
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid template.', errors });
+      }
+      const preview = {};
+      for (const lang of SUPPORTED_LANGUAGES) {
+        preview[lang] = await previewTemplate(id, lang, text && text[lang]);
+      }
+      res.status(200).json({ id, preview });
+    } catch (error) {
+      console.error('Error previewing template:', error);
+      res.status(500).json({ message: 'Failed to preview template.' });
+    }
+  });
+
+  // Back to the built-in text. Query: lang (optional, all languages by default)
+  app.delete('/api/templates/:id', requireApiAuth, async (req, res) => {
+    try {
+      const id = findTemplateId(req, res);
+      if (!id) return;
+      const { lang } = req.query;
+      if (lang !== undefined && !SUPPORTED_LANGUAGES.includes(lang)) {
+        return res.status(400).json({ message: `Invalid lang. Expected one of: ${SUPPORTED_LANGUAGES.join(', ')}.` });
+      }
+      if (!await resetTemplate(id, lang, req.actor)) {
+        return res.status(404).json({ message: 'Template has no custom text.' });
+      }
+      await scheduler.buildDailyQueue();
+      res.status(200).json(formatApiTemplate(id));
+    } catch (error) {
+      console.error('Error resetting template:', error);
+      res.status(500).json({ message: 'Failed to reset template.' });
+    }
+  });
+
+  // Registered last so the fixed paths above take precedence
+  app.get('/api/prayer_times/:date', async (req, res) => {
+    try {
+      if (!isValidDateString(req.params.date)) {
+        return res.status(400).json({ message: 'Invalid date. Expected YYYY-MM-DD.' });
+      }
+      const city = await findApiCity(req, res);
+      if (!city) return;
+      await sendDay(req, res, city, req.params.date);
+    } catch (error) {
+      console.error('Error reading prayer times:', error);
+      res.status(500).json({ message: 'Failed to load prayer times.' });
+    }
+  });
+
+  // Used by the Dockerfile HEALTHCHECK. Returns 503 only when the bot is not receiving updates (polling
+  // stopped, or the webhook could not be registered);
+  // missing prayer times are reported as "degraded" so the container is not restarted for a data problem.
+  app.get('/health', async (req, res) => {
+    try {
+      const status = await getSystemStatus();
+      const healthy = status.telegram.receiving;
+      res.status(healthy ? 200 : 503).json({
+        status: !healthy ? 'unhealthy' : (status.prayerTimes.todayAvailable ? 'ok' : 'degraded'),
+        ...status
+      });
+    } catch (error) {
+      console.error('Error in health check:', error);
+      res.status(503).json({ status: 'unhealthy', message: error.message });
+    }
+  });
+
+  // Prometheus text exposition format
+  app.get('/metrics', async (req, res) => {
+    try {
+      const status = await getSystemStatus();
+      const lines = [];
+      // value is either a number or a list of [labels, number] samples
+      const metric = (name, type, help, value) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        if (Array.isArray(value)) {
+          for (const [labels, sample] of value) {
+            const labelText = Object.entries(labels).map(([k, v]) => `${k}="${v}"`).join(',');
+            lines.push(`${name}{${labelText}} ${sample}`);
+          }
+        } else {
+          lines.push(`${name} ${value}`);
+        }
+      };
+      const cityEntries = Object.entries(status.prayerTimes.cities);
+      const { prayerCacheTimestamp, subscribersCacheTimestamp } = store.getCacheStatus();
+      metric('praybot_notifications_sent_total', 'counter', 'Notifications delivered to Telegram.', metrics.notificationsSent);
+      metric('praybot_notifications_failed_total', 'counter', 'Notifications that failed to send.', metrics.notificationsFailed);
+      metric('praybot_notifications_deduped_total', 'counter', 'Notifications skipped because they were already sent.', metrics.notificationsDeduped);
+      metric('praybot_subscribers', 'gauge', 'Current number of subscribers.', status.subscribers.count);
+      metric('praybot_city_subscribers', 'gauge', 'Subscribers per city.', cityEntries.map(([city, c]) => [{ city }, c.subscribers]));
+      metric('praybot_notification_queue_size', 'gauge', 'Notifications waiting in the queue.', status.queue.size);
+      metric('praybot_sent_notifications_tracked', 'gauge', 'Dedup keys kept in memory.', status.queue.sentTracked);
+      metric('praybot_prayer_times_entries', 'gauge', 'Rows in the prayer timetable cache per city.', cityEntries.map(([city, c]) => [{ city }, c.entries]));
+      metric('praybot_prayer_times_today_available', 'gauge', 'Whether prayer times exist for today per city (1/0).', cityEntries.map(([city, c]) => [{ city }, c.todayAvailable ? 1 : 0]));
+      metric('praybot_telegram_polling', 'gauge', 'Whether Telegram polling is running (1/0).', status.telegram.polling ? 1 : 0);
+      metric('praybot_telegram_webhook_registered', 'gauge', 'Whether the Telegram webhook is registered (1/0).', status.telegram.webhookRegistered ? 1 : 0);
+      metric('praybot_last_webhook_update_timestamp_seconds', 'gauge', 'When the last update arrived on the webhook.', Math.floor(metrics.lastWebhookUpdateAt / 1000));
+      metric('praybot_prayer_cache_refreshed_timestamp_seconds', 'gauge', 'When the prayer times cache was last refreshed.', Math.floor(prayerCacheTimestamp / 1000));
+      metric('praybot_subscribers_cache_refreshed_timestamp_seconds', 'gauge', 'When the subscribers cache was last refreshed.', Math.floor(subscribersCacheTimestamp / 1000));
+      metric('praybot_last_polling_error_timestamp_seconds', 'gauge', 'When the last Telegram polling error happened.', Math.floor(metrics.lastPollingErrorAt / 1000));
+      metric('praybot_uptime_seconds', 'gauge', 'Process uptime.', status.uptimeSeconds);
+      res.set('Content-Type', 'text/plain; version=0.0.4');
+      res.status(200).send(lines.join('\n') + '\n');
+    } catch (error) {
+      console.error('Error collecting metrics:', error);
+      res.status(500).send('# Failed to collect metrics\n');
+    }
+  });
+
+  // Paged audit log, newest first. Optional filter: ?action=prayer_times.update
+  app.get('/api/audit_log', requireApiAuth, async (req, res) => {
+    try {
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+      const result = await readAuditLog({ page, limit, action: req.query.action });
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Error reading audit log:', error);
+      res.status(500).json({ message: 'Failed to read audit log.' });
+    }
+  });
+
+  // --- TELEGRAM WEBHOOK ---
+  // Telegram echoes the secret token given to setWebHook in this header; anything else is not from Telegram
+  if (TELEGRAM_MODE === 'webhook') {
+    app.post(new URL(TELEGRAM_WEBHOOK_URL).pathname, (req, res) => {
+      const secret = req.get('x-telegram-bot-api-secret-token') || '';
+      if (!safeEqual(secret, TELEGRAM_WEBHOOK_SECRET)) {
+        console.warn(`🚫 Rejected webhook request without a valid secret token from ${req.ip}`);
+        return res.sendStatus(401);
+      }
+      metrics.lastWebhookUpdateAt = clock.now().getTime();
+      // Handlers run asynchronously; Telegram only needs to know the update was received
+      bot.processUpdate(req.body);
+      res.sendStatus(200);
+    });
+  }
+
+  return app;
+}
+
+module.exports = { createApi };
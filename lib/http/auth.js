@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { systemClock } = require('../time');
+
+const HMAC_MAX_SKEW_MS = 5 * 60 * 1000;
+
+// --- API AUTHENTICATION ---
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Returns the express middleware guarding the write endpoints
+function createApiAuth({ ADMIN_API_TOKENS, ADMIN_API_HMAC_SECRET, clock = systemClock }) {
+  // Signatures already accepted, with the time after which their timestamp is out of the window anyway
+  const seenSignatures = new Map();
+
+  // Bearer token: "Authorization: Bearer <token>"
+  function authenticateToken(req) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return null;
+    const entry = ADMIN_API_TOKENS.find(t => safeEqual(t.token, match[1].trim()));
+    return entry ? `token:${entry.name}` : null;
+  }
+
+  // HMAC: "X-Timestamp: <unix ms>" and "X-Signature: sha256=<hex>" where the signature is
+  // HMAC-SHA256(secret, `${timestamp}.${METHOD}.${originalUrl}.${rawBody}`). "X-Client-Id" names the caller.
+  // Each signature is accepted once, so a captured request cannot be replayed within the timestamp window.
+  function authenticateHmac(req) {
+    if (!ADMIN_API_HMAC_SECRET) return null;
+    const timestamp = req.get('x-timestamp');
+    const signature = req.get('x-signature');
+    if (!timestamp || !signature) return null;
+    const now = clock.now().getTime();
+    if (Math.abs(now - Number(timestamp)) > HMAC_MAX_SKEW_MS) return null;
+
+    const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const expected = 'sha256=' + crypto
+      .createHmac('sha256', ADMIN_API_HMAC_SECRET)
+      .update(`${timestamp}.${req.method}.${req.originalUrl}.${body}`)
+      .digest('hex');
+    if (!safeEqual(expected, signature)) return null;
+
+    for (const [seen, expiresAt] of seenSignatures) {
+      if (expiresAt < now) seenSignatures.delete(seen);
+    }
+    if (seenSignatures.has(expected)) {
+      console.warn(`🚫 Replayed HMAC signature for ${req.method} ${req.originalUrl}`);
+      return null;
+    }
+    seenSignatures.set(expected, Number(timestamp) + HMAC_MAX_SKEW_MS);
+    return `hmac:${req.get('x-client-id') || 'client'}`;
+  }
+
+  return function requireApiAuth(req, res, next) {
+    if (ADMIN_API_TOKENS.length === 0 && !ADMIN_API_HMAC_SECRET) {
+      return res.status(503).json({ message: 'API authentication is not configured on the server.' });
+    }
+    const actor = authenticateToken(req) || authenticateHmac(req);
+    if (!actor) {
+      console.warn(`🚫 Unauthorized ${req.method} ${req.originalUrl} from ${req.ip}`);
+      return res.status(401).json({ message: 'Unauthorized.' });
+    }
+    req.actor = actor;
+    next();
+  };
+}
+
+module.exports = { createApiAuth, safeEqual };
@@ -0,0 +1,35 @@
+// Locale catalogs live in /locales as nested JSON; keys are dotted paths ("today.title").
+// Strings use {name} placeholders. Missing keys fall back to the default language.
+const SUPPORTED_LANGUAGES = ['ar', 'fr', 'en'];
+const DEFAULT_LANGUAGE = 'ar';
+
+const catalogs = {};
+for (const lang of SUPPORTED_LANGUAGES) {
+  catalogs[lang] = require(`../locales/${lang}.json`);
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && node[part] !== undefined ? node[part] : undefined), catalog);
+}
+
+// Returns the translated string with placeholders filled in. Non-string entries (lists) are returned as is.
+function t(lang, key, params = {}) {
+  let value = lookup(catalogs[lang] || {}, key);
+  if (value === undefined) value = lookup(catalogs[DEFAULT_LANGUAGE], key);
+  if (value === undefined) return key;
+  if (typeof value !== 'string') return value;
+  return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+// The same key in every language, e.g. to match reply-keyboard labels whatever the user's language
+function allTranslations(key) {
+  return [...new Set(SUPPORTED_LANGUAGES.map(lang => t(lang, key)))];
+}
+
+// Maps a Telegram language_code ("fr", "en-US") to a supported language
+function resolveLanguage(languageCode) {
+  const base = String(languageCode || '').toLowerCase().split('-')[0];
+  return SUPPORTED_LANGUAGES.includes(base) ? base : DEFAULT_LANGUAGE;
+}
+
+module.exports = { t, allTranslations, resolveLanguage, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE };
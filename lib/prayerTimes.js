@@ -0,0 +1,285 @@
+// Timetable rows ({ date, fajr, dhuhr, asr, maghrib, isha, source? }): validation, merging and the
+// astronomical fallback. Nothing here touches storage.
+const { getUtcOffsetHours, localTimeToInstant, addDays } = require('./time');
+
+const prayerOrder = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
+
+// --- PRAYER TIMES VALIDATION & MERGE ---
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTimeString(time) {
+  return typeof time === 'string' && TIME_REGEX.test(time);
+}
+
+function isValidDateString(date) {
+  if (typeof date !== 'string' || !DATE_REGEX.test(date)) return false;
+  const [year, month, day] = date.split('-').map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  return parsed.getUTCFullYear() === year && parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day;
+}
+
+// Returns a list of human-readable problems for a single timetable row (empty when valid)
+function validatePrayerRow(row) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return ['Entry must be an object.'];
+  }
+
+  const errors = [];
+  if (!isValidDateString(row.date)) {
+    errors.push(`Invalid date "${row.date}". Expected YYYY-MM-DD.`);
+  }
+  for (const prayerKey of prayerOrder) {
+    if (typeof row[prayerKey] !== 'string' || !TIME_REGEX.test(row[prayerKey])) {
+      errors.push(`Invalid ${prayerKey} time "${row[prayerKey]}". Expected HH:mm.`);
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  // Times must be in chronological order. Isha is allowed to fall after midnight.
+  for (let i = 1; i < prayerOrder.length; i++) {
+    const previousKey = prayerOrder[i - 1];
+    const prayerKey = prayerOrder[i];
+    const isWrappedIsha = prayerKey === 'isha' && row.isha < row.fajr;
+    if (row[prayerKey] <= row[previousKey] && !isWrappedIsha) {
+      errors.push(`${prayerKey} (${row[prayerKey]}) must come after ${previousKey} (${row[previousKey]}).`);
+    }
+  }
+  return errors;
+}
+
+function validatePrayerTimes(rows) {
+  const errors = [];
+  const seenDates = new Map();
+
+  rows.forEach((row, index) => {
+    const rowErrors = validatePrayerRow(row);
+    const date = row && typeof row.date === 'string' ? row.date : undefined;
+    if (date !== undefined) {
+      if (seenDates.has(date)) {
+        rowErrors.push(`Duplicate date, already provided by entry ${seenDates.get(date)}.`);
+      } else {
+        seenDates.set(date, index);
+      }
+    }
+    if (rowErrors.length > 0) {
+      errors.push({ index, date: date || null, errors: rowErrors });
+    }
+  });
+
+  return errors;
+}
+
+function sortByDate(rows) {
+  return [...rows].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Upsert incoming rows into the existing timetable, keyed by date
+function mergePrayerTimes(existing, incoming) {
+  const byDate = new Map(existing.map(row => [row.date, row]));
+  for (const row of incoming) {
+    byDate.set(row.date, row);
+  }
+  return sortByDate([...byDate.values()]);
+}
+
+function diffPrayerTimes(before, after) {
+  const beforeByDate = new Map(before.map(row => [row.date, row]));
+  const afterByDate = new Map(after.map(row => [row.date, row]));
+  const diff = { added: [], updated: [], removed: [], unchanged: 0 };
+
+  for (const [date, row] of afterByDate) {
+    const previous = beforeByDate.get(date);
+    if (!previous) {
+      diff.added.push(row);
+      continue;
+    }
+    const changes = {};
+    const keys = new Set([...Object.keys(previous), ...Object.keys(row)]);
+    for (const key of keys) {
+      if (previous[key] !== row[key]) {
+        changes[key] = { from: previous[key], to: row[key] };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      diff.updated.push({ date, changes });
+    } else {
+      diff.unchanged++;
+    }
+  }
+
+  for (const date of beforeByDate.keys()) {
+    if (!afterByDate.has(date)) {
+      diff.removed.push(date);
+    }
+  }
+
+  return diff;
+}
+
+
+// --- ASTRONOMICAL PRAYER TIME CALCULATION ---
+// Offline fallback used when no official timetable row exists for a day.
+// Based on the standard sun-position formulas (same approach as praytimes.org).
+const CALCULATION_METHODS = {
+  algeria: { name: 'Algerian Ministry of Religious Affairs', fajrAngle: 18, ishaAngle: 17 },
+  mwl: { name: 'Muslim World League', fajrAngle: 18, ishaAngle: 17 },
+  umm_al_qura: { name: 'Umm al-Qura, Makkah', fajrAngle: 18.5, ishaMinutes: 90 },
+};
+const ASR_FACTORS = { shafi: 1, hanafi: 2 };
+
+const dsin = d => Math.sin(d * Math.PI / 180);
+const dcos = d => Math.cos(d * Math.PI / 180);
+const dtan = d => Math.tan(d * Math.PI / 180);
+const darcsin = x => Math.asin(x) * 180 / Math.PI;
+const darccos = x => Math.acos(x) * 180 / Math.PI;
+const darctan2 = (y, x) => Math.atan2(y, x) * 180 / Math.PI;
+const darccot = x => Math.atan(1 / x) * 180 / Math.PI;
+const fixAngle = a => a - 360 * Math.floor(a / 360);
+const fixHour = h => h - 24 * Math.floor(h / 24);
+
+function julianDate(year, month, day) {
+  if (month <= 2) {
+    year -= 1;
+    month += 12;
+  }
+  const a = Math.floor(year / 100);
+  const b = 2 - a + Math.floor(a / 4);
+  return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + b - 1524.5;
+}
+
+function sunPosition(jd) {
+  const d = jd - 2451545.0;
+  const g = fixAngle(357.529 + 0.98560028 * d);
+  const q = fixAngle(280.459 + 0.98564736 * d);
+  const l = fixAngle(q + 1.915 * dsin(g) + 0.020 * dsin(2 * g));
+  const e = 23.439 - 0.00000036 * d;
+  const rightAscension = darctan2(dcos(e) * dsin(l), dcos(l)) / 15;
+  return {
+    declination: darcsin(dsin(e) * dsin(l)),
+    equation: q / 15 - fixHour(rightAscension)
+  };
+}
+
+
+function formatHours(hours) {
+  const totalMinutes = Math.round(fixHour(hours) * 60) % (24 * 60);
+  return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+}
+
+// Returns a timetable row marked as computed, or null when the sun never reaches a required angle.
+// Cities without a method of their own need `method` (the store passes DEFAULT_CALCULATION_METHOD),
+// and times are given on the wall clock of `timeZone` (the store passes the city's timezone).
+function computePrayerTimes(city, date, { method = city.method, asrMethod = city.asrMethod || 'shafi', timeZone = city.timezone } = {}) {
+  const params = CALCULATION_METHODS[method];
+  if (!params) throw new Error(`Unknown calculation method "${method}"`);
+  const asrFactor = ASR_FACTORS[asrMethod];
+  if (!asrFactor) throw new Error(`Unknown asr method "${asrMethod}"`);
+  if (!timeZone) throw new Error('A timezone is required to compute prayer times');
+
+  const { latitude, longitude } = city;
+  const [year, month, day] = date.split('-').map(Number);
+  const jDate = julianDate(year, month, day) - longitude / (15 * 24);
+
+  const midDay = time => fixHour(12 - sunPosition(jDate + time).equation);
+  const sunAngleTime = (angle, time, counterClockwise) => {
+    const declination = sunPosition(jDate + time).declination;
+    const t = darccos((-dsin(angle) - dsin(declination) * dsin(latitude)) / (dcos(declination) * dcos(latitude))) / 15;
+    return midDay(time) + (counterClockwise ? -t : t);
+  };
+  const asrTime = time => {
+    const declination = sunPosition(jDate + time).declination;
+    return sunAngleTime(-darccot(asrFactor + dtan(Math.abs(latitude - declination))), time);
+  };
+
+  // One refinement pass: sun position is evaluated at the approximate time of each prayer
+  const times = {
+    fajr: sunAngleTime(params.fajrAngle, 5 / 24, true),
+    dhuhr: midDay(12 / 24),
+    asr: asrTime(13 / 24),
+    maghrib: sunAngleTime(0.833, 18 / 24),
+  };
+  times.isha = params.ishaMinutes
+    ? times.maghrib + params.ishaMinutes / 60
+    : sunAngleTime(params.ishaAngle, 18 / 24);
+
+  const offset = getUtcOffsetHours(timeZone, date) - longitude / 15;
+  const adjustments = city.adjustments || {};
+  const row = { date };
+  for (const prayerKey of prayerOrder) {
+    if (isNaN(times[prayerKey])) return null;
+    row[prayerKey] = formatHours(times[prayerKey] + offset + (adjustments[prayerKey] || 0) / 60);
+  }
+  row.source = 'computed';
+  row.method = method;
+  return row;
+}
+
+
+function minutesBetween(from, to) {
+  const [fromHours, fromMins] = from.split(':').map(Number);
+  const [toHours, toMins] = to.split(':').map(Number);
+  let diff = (toHours * 60 + toMins) - (fromHours * 60 + fromMins);
+  // Keep the difference within half a day so 23:59 vs 00:01 counts as 2 minutes
+  if (diff > 720) diff -= 1440;
+  if (diff < -720) diff += 1440;
+  return diff;
+}
+
+// Compares official rows against computed ones; differences are official minus computed, in minutes
+function comparePrayerTimes(city, rows, { method, asrMethod, timeZone, threshold }) {
+  const result = [];
+  for (const row of rows) {
+    if (row.source === 'computed') continue;
+    const computed = computePrayerTimes(city, row.date, { method, asrMethod, timeZone });
+    if (!computed) continue;
+    const differences = {};
+    const flagged = [];
+    for (const prayerKey of prayerOrder) {
+      differences[prayerKey] = minutesBetween(computed[prayerKey], row[prayerKey]);
+      if (Math.abs(differences[prayerKey]) > threshold) flagged.push(prayerKey);
+    }
+    result.push({ date: row.date, official: row, computed, differences, flagged });
+  }
+  return result;
+}
+
+function hasCoordinates(city) {
+  return typeof city.latitude === 'number' && typeof city.longitude === 'number';
+}
+
+// Absolute instants (ms) of a row's prayers in `timeZone`. A time earlier than the prayer before it
+// belongs to the next day, e.g. an isha at 00:10.
+function getPrayerInstants(row, timeZone) {
+  const instants = {};
+  let date = row.date;
+  let previous = null;
+  for (const prayerKey of prayerOrder) {
+    if (previous && row[prayerKey] < previous) date = addDays(row.date, 1);
+    instants[prayerKey] = localTimeToInstant(timeZone, date, row[prayerKey]);
+    previous = row[prayerKey];
+  }
+  return instants;
+}
+
+function countPrayerTimeEntries(prayerTimes) {
+  return Object.values(prayerTimes).reduce((total, rows) => total + rows.length, 0);
+}
+
+module.exports = {
+  prayerOrder,
+  CALCULATION_METHODS,
+  ASR_FACTORS,
+  isValidDateString,
+  isValidTimeString,
+  validatePrayerRow,
+  validatePrayerTimes,
+  sortByDate,
+  mergePrayerTimes,
+  diffPrayerTimes,
+  computePrayerTimes,
+  comparePrayerTimes,
+  getPrayerInstants,
+  hasCoordinates,
+  countPrayerTimeEntries,
+};
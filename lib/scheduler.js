@@ -0,0 +1,457 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic, createLock } = require('./storage/fileUtils');
+const { t } = require('./i18n');
+const { systemClock, getLocalDateTime, localTimeToInstant, subtractMinutes, addDays, getWeekday } = require('./time');
+const { prayerOrder, getPrayerInstants } = require('./prayerTimes');
+const {
+  IMSAK_MINUTES_BEFORE_FAJR, CONTENT_SCHEDULE, KAHF_SCHEDULE, getRamadanSettings, getContentSettings, getJumuahSettings,
+  isNotificationMuted, getLanguage, getPrayerName, getPrayerSettings
+} = require('./settings');
+const { getCityName, getJumuahTime, getContentText, CONTENT_TYPES } = require('./store');
+
+// Wall-clock time (in config.TIMEZONE) at which the daily queue is rebuilt
+const QUEUE_BUILD_TIME = '00:05';
+
+// The day's notifications for every subscriber, built once a day (and per subscriber when their
+// settings change), and the tick that sends the ones that are due.
+// Queue items: { chatId, type, sendAt, localTime, silent?, expiresAt?, message, dedupKey }. sendAt and
+// expiresAt are timestamps (ms); localTime is sendAt as 'HH:mm' in the city's timezone, for quiet hours.
+// `bot` only needs sendMessage; `clock` decides what "now" is.
+function createScheduler({ config, store, bot, clock = systemClock, metrics }) {
+  const { DATA_PATH, CATCH_UP_GRACE_MINUTES, TIMEZONE } = config;
+  const NOTIFICATION_QUEUE_PATH = path.join(DATA_PATH, 'notification_queue.json');
+  const SENT_NOTIFICATIONS_PATH = path.join(DATA_PATH, 'sent_notifications.log');
+
+  let notificationQueue = [];
+  let notificationQueueDate = null;
+  const sentNotifications = new Map(); // تتبع الإشعارات المرسلة
+
+  // --- QUEUE PERSISTENCE ---
+  // The queue is saved as { date, items } whenever it changes. Dedup keys go to an append-only
+  // log ("<timestamp> <dedupKey>" per line) *before* the message is sent, so a crash can lose a
+  // notification but never send it twice. Appends and compactions of the log go through one lock.
+  const withSentLogLock = createLock();
+
+  async function saveNotificationQueue() {
+    try {
+      await writeFileAtomic(NOTIFICATION_QUEUE_PATH, JSON.stringify({ date: notificationQueueDate, items: notificationQueue }));
+    } catch (error) {
+      console.error('❌ Error saving notification queue:', error);
+    }
+  }
+
+  async function appendSentNotifications(keys, timestamp) {
+    if (keys.length === 0) return;
+    await withSentLogLock(() => fsp.appendFile(SENT_NOTIFICATIONS_PATH, keys.map(key => `${timestamp} ${key}\n`).join('')));
+  }
+
+  function saveSentNotifications() {
+    return withSentLogLock(() => {
+      const lines = [...sentNotifications.entries()].map(([key, timestamp]) => `${timestamp} ${key}\n`);
+      return writeFileAtomic(SENT_NOTIFICATIONS_PATH, lines.join(''));
+    });
+  }
+
+  async function loadSentNotifications() {
+    try {
+      const data = await fsp.readFile(SENT_NOTIFICATIONS_PATH, 'utf8');
+      for (const line of data.split('\n')) {
+        const separator = line.indexOf(' ');
+        if (separator === -1) continue;
+        const timestamp = Number(line.slice(0, separator));
+        if (!isNaN(timestamp)) sentNotifications.set(line.slice(separator + 1), timestamp);
+      }
+      console.log(`🔔 Restored ${sentNotifications.size} sent notification records`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('❌ Error loading sent notifications:', error);
+    }
+  }
+
+  // Returns true when a queue saved for today was restored
+  async function loadNotificationQueue(currentDate) {
+    try {
+      const data = JSON.parse(await fsp.readFile(NOTIFICATION_QUEUE_PATH, 'utf8'));
+      // Queues saved before sendAt became a timestamp are rebuilt
+      if (data.date !== currentDate || !Array.isArray(data.items) || data.items.some(item => typeof item.sendAt !== 'number')) {
+        return false;
+      }
+      notificationQueue = data.items;
+      notificationQueueDate = data.date;
+      console.log(`📬 Restored notification queue for ${data.date}: ${notificationQueue.length} notifications`);
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('❌ Error loading notification queue:', error);
+      return false;
+    }
+  }
+
+  // Restores the saved queue (or builds a new one) on startup
+  async function restore() {
+    await loadSentNotifications();
+    cleanupOldNotifications();
+    const { date } = getLocalDateTime(TIMEZONE, clock.now());
+    if (!await loadNotificationQueue(date)) {
+      await buildDailyQueue();
+    }
+  }
+
+  // --- NOTIFICATION SCHEDULER & QUEUE ---
+  // A queue built on `date` lasts until the next daily build
+  function getQueueEnd(date) {
+    return localTimeToInstant(TIMEZONE, addDays(date, 1), QUEUE_BUILD_TIME);
+  }
+
+  // The city's local yesterday, today and tomorrow: a reminder before an early fajr falls on the
+  // evening before, and yesterday's isha may be after midnight
+  function getQueueDates(city) {
+    const { date } = store.getCityDateTime(city);
+    return [addDays(date, -1), date, addDays(date, 1)];
+  }
+
+  // All notifications for one subscriber from one timetable row of the subscriber's city
+  function getUserDailyNotifications(chatId, settings, city, todaysPrayers) {
+    const items = [];
+    const currentDate = todaysPrayers.date;
+    const lang = getLanguage(settings);
+    const cityName = getCityName(city, lang);
+    const timeZone = store.getCityTimezone(city);
+    const instants = getPrayerInstants(todaysPrayers, timeZone);
+    const scheduledAt = instant => ({ sendAt: instant, localTime: getLocalDateTime(timeZone, new Date(instant)).time });
+    const jumuah = getJumuahSettings(settings);
+    const jumuahTime = getWeekday(currentDate) === 5 ? getJumuahTime(city, todaysPrayers) : null;
+    const jumuahInstant = jumuahTime ? localTimeToInstant(timeZone, currentDate, jumuahTime) : null;
+
+    for (const prayerKey of prayerOrder) {
+      // In Jumu'ah mode the Friday dhuhr adhan and its reminders follow the Jumu'ah time
+      const isJumuah = Boolean(jumuah.adhan && jumuahTime && prayerKey === 'dhuhr');
+      const prayerTime = isJumuah ? jumuahTime : todaysPrayers[prayerKey];
+      const prayerInstant = isJumuah ? jumuahInstant : instants[prayerKey];
+      const prayerName = isJumuah ? t(lang, 'jumuah.name') : getPrayerName(prayerKey, lang);
+      const prayerSettings = getPrayerSettings(settings, prayerKey);
+
+      // 1. Adhan (at-prayer) notification
+      if (prayerSettings.adhan) {
+        items.push({
+          chatId,
+          type: 'adhan',
+          ...scheduledAt(prayerInstant),
+          silent: Boolean(prayerSettings.silent),
+          message: store.formatNotification('adhan', { prayerKey, isJumuah, date: currentDate, lang, params: { prayer: prayerName, city: cityName, time: prayerTime } }),
+          dedupKey: `${currentDate}:${prayerKey}:${chatId}:0`
+        });
+      }
+
+      // 2. Pre-prayer reminders
+      for (const reminderMinutes of prayerSettings.reminders) {
+        items.push({
+          chatId,
+          type: 'reminder',
+          ...scheduledAt(prayerInstant - reminderMinutes * 60000),
+          silent: Boolean(prayerSettings.silent),
+          // A reminder caught up after a restart is pointless once the adhan has passed
+          expiresAt: prayerInstant,
+          message: store.formatNotification('reminder', {
+            prayerKey, isJumuah, date: currentDate, lang, params: { prayer: prayerName, minutes: reminderMinutes, city: cityName, time: prayerTime }
+          }),
+          dedupKey: `${currentDate}:${prayerKey}:${chatId}:${reminderMinutes}`
+        });
+      }
+    }
+
+    // 3. Ramadan: suhoor reminder before fajr and iftar at maghrib (opt-in)
+    if (store.isRamadanDate(currentDate)) {
+      const ramadan = getRamadanSettings(settings);
+      if (ramadan.suhoor) {
+        const imsak = subtractMinutes(todaysPrayers.fajr, IMSAK_MINUTES_BEFORE_FAJR);
+        items.push({
+          chatId,
+          type: 'suhoor',
+          ...scheduledAt(instants.fajr - ramadan.suhoorMinutes * 60000),
+          expiresAt: instants.fajr - IMSAK_MINUTES_BEFORE_FAJR * 60000,
+          message: t(lang, 'notifications.suhoor', { imsak, fajr: todaysPrayers.fajr, city: cityName }),
+          dedupKey: `${currentDate}:suhoor:${chatId}:${ramadan.suhoorMinutes}`
+        });
+      }
+      if (ramadan.iftar) {
+        items.push({
+          chatId,
+          type: 'iftar',
+          ...scheduledAt(instants.maghrib),
+          message: t(lang, 'notifications.iftar', { city: cityName, time: todaysPrayers.maghrib }),
+          dedupKey: `${currentDate}:iftar:${chatId}:0`
+        });
+      }
+    }
+
+    // 4. Daily content: morning adhkar after fajr, evening adhkar after asr or maghrib, hadith and dua (opt-in)
+    const content = getContentSettings(settings);
+    for (const contentType of CONTENT_TYPES) {
+      if (!content[contentType]) continue;
+      const entry = store.getDailyContent(contentType, currentDate);
+      if (!entry) continue;
+      const prayerKey = contentType === 'morning' ? 'fajr'
+        : contentType === 'evening' ? content.eveningAfter
+        : CONTENT_SCHEDULE[contentType].prayer;
+      items.push({
+        chatId,
+        type: 'content',
+        ...scheduledAt(instants[prayerKey] + CONTENT_SCHEDULE[contentType].minutesAfter * 60000),
+        message: t(lang, `notifications.content.${contentType}`, { text: getContentText(entry, lang) })
+          + (entry.source ? `\n\n${t(lang, 'notifications.content.source', { source: entry.source })}` : ''),
+        dedupKey: `${currentDate}:${contentType}:${chatId}:0`
+      });
+    }
+
+    // 5. Friday: khutbah reminder before the Jumu'ah time, and Surat al-Kahf on Thursday evening or Friday morning (opt-in)
+    if (jumuah.khutbah && jumuahTime) {
+      items.push({
+        chatId,
+        type: 'reminder',
+        ...scheduledAt(jumuahInstant - jumuah.khutbahMinutes * 60000),
+        silent: Boolean(getPrayerSettings(settings, 'dhuhr').silent),
+        expiresAt: jumuahInstant,
+        message: t(lang, 'notifications.khutbah', { minutes: jumuah.khutbahMinutes, city: cityName, time: jumuahTime }),
+        dedupKey: `${currentDate}:khutbah:${chatId}:${jumuah.khutbahMinutes}`
+      });
+    }
+    const kahf = KAHF_SCHEDULE[jumuah.kahfWhen];
+    if (jumuah.kahf && kahf && getWeekday(currentDate) === kahf.weekday) {
+      items.push({
+        chatId,
+        type: 'content',
+        ...scheduledAt(instants[kahf.prayer] + kahf.minutesAfter * 60000),
+        message: t(lang, 'notifications.kahf'),
+        dedupKey: `${currentDate}:kahf:${chatId}:0`
+      });
+    }
+    return items.filter(item => !isNotificationMuted(settings, item));
+  }
+
+  async function buildDailyQueue() {
+    console.log('🛠️ Building daily notification queue...');
+    const newQueue = [];
+    const now = clock.now().getTime();
+    const { date: currentDate } = getLocalDateTime(TIMEZONE, clock.now());
+    // Anything missed within the grace window is still sent, up to the next daily build
+    const from = now - CATCH_UP_GRACE_MINUTES * 60000;
+    const until = getQueueEnd(currentDate);
+
+    try {
+      await store.fillMissingPrayerTimes(addDays(currentDate, -1));
+    } catch (error) {
+      console.error('❌ Error computing missing prayer times:', error);
+    }
+
+    const prayerTimes = await store.loadPrayerTimesCache();
+    const subscribers = await store.loadSubscribersCache();
+    const rowsByCity = new Map();
+
+    for (const subscriber of subscribers) {
+      const { chatId, settings } = subscriber;
+      const cityId = store.getSubscriberCityId(subscriber);
+
+      if (!rowsByCity.has(cityId)) {
+        const city = await store.getCity(cityId);
+        const dates = getQueueDates(city);
+        const rows = (prayerTimes[cityId] || []).filter(p => dates.includes(p.date));
+        if (!rows.some(p => p.date === dates[1])) {
+          console.error(`🔥 Cannot build queue for ${cityId}: No prayer times found for ${dates[1]}`);
+        }
+        rowsByCity.set(cityId, { city, rows });
+      }
+      const { city, rows } = rowsByCity.get(cityId);
+
+      for (const row of rows) {
+        newQueue.push(...getUserDailyNotifications(chatId, settings, city, row)
+          .filter(item => item.sendAt > from && item.sendAt < until));
+      }
+    }
+
+    notificationQueue = newQueue;
+    notificationQueueDate = currentDate;
+    await saveNotificationQueue();
+    console.log(`✅ Daily notification queue built. ${notificationQueue.length} notifications scheduled.`);
+  }
+
+  // Replaces a user's upcoming notifications after their settings (reminder, city...) change
+  async function rescheduleUserNotifications(chatId) {
+    console.log(`🔄 Rescheduling notifications for user ${chatId}.`);
+
+    const subscribers = await store.loadSubscribersCache();
+    const user = subscribers.find(s => s.chatId === chatId);
+    if (!user) {
+      console.warn(`Cannot reschedule for ${chatId}, user not found.`);
+      return;
+    }
+
+    const now = clock.now().getTime();
+    const until = getQueueEnd(notificationQueueDate || getLocalDateTime(TIMEZONE, clock.now()).date);
+
+    // 1. Remove existing upcoming notifications for this user
+    notificationQueue = notificationQueue.filter(item => !(item.chatId === chatId && item.sendAt > now));
+
+    // 2. Add new notifications up to the next daily build
+    const cityId = store.getSubscriberCityId(user);
+    const city = await store.getCity(cityId);
+    const dates = getQueueDates(city);
+    const rows = [];
+    for (const date of dates) {
+      const row = await store.getPrayerTimesForDate(cityId, date);
+      if (row) rows.push(row);
+    }
+
+    if (!rows.some(row => row.date === dates[1])) {
+      console.error(`🔥 Cannot reschedule for ${chatId}: No prayer times found for ${cityId} on ${dates[1]}`);
+      return;
+    }
+
+    const upcoming = rows.flatMap(row => getUserDailyNotifications(chatId, user.settings, city, row))
+      .filter(item => item.sendAt > now && item.sendAt < until);
+    notificationQueue.push(...upcoming);
+    await saveNotificationQueue();
+    console.log(`✅ Rescheduling complete for ${chatId}. Queue size: ${notificationQueue.length}`);
+  }
+
+  // Drops everything queued for a chat that unsubscribed or blocked the bot
+  async function removeChat(chatId) {
+    notificationQueue = notificationQueue.filter(q => q.chatId !== chatId);
+    await saveNotificationQueue();
+  }
+
+  // /deletemydata: removeChat, and the chat's dedup keys (`<date>:<type>:<chatId>:<minutes>`) are dropped as well
+  async function forgetChat(chatId) {
+    await removeChat(chatId);
+    let removed = 0;
+    for (const key of sentNotifications.keys()) {
+      if (key.split(':')[2] === String(chatId)) {
+        sentNotifications.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) await saveSentNotifications();
+  }
+
+  // تنظيف الذاكرة من الإشعارات القديمة
+  function cleanupOldNotifications() {
+    const oneDayAgo = clock.now().getTime() - (24 * 60 * 60 * 1000);
+    let cleaned = 0;
+
+    for (const [key, timestamp] of sentNotifications.entries()) {
+      if (timestamp < oneDayAgo) {
+        sentNotifications.delete(key);
+        cleaned++;
+      }
+    }
+
+    if (cleaned > 0) {
+      console.log(`🧹 Cleaned ${cleaned} old notification records`);
+      saveSentNotifications().catch(error => console.error('❌ Error compacting sent notifications log:', error));
+    }
+  }
+
+  // --- NOTIFICATION PROCESSOR ---
+  // Sends what is due; runs every 30 seconds
+  async function tick() {
+    try {
+      const now = clock.now();
+      const { date: currentDate, time: currentTime } = getLocalDateTime(TIMEZONE, now);
+      const minutesLate = item => Math.floor((now.getTime() - item.sendAt) / 60000);
+
+      // Due = sendAt reached. Anything later than the grace window (e.g. missed while the
+      // process was down) or past its expiry is dropped instead of being sent late.
+      const dueNotifications = [];
+      const staleNotifications = [];
+      for (const item of notificationQueue) {
+        const lateBy = minutesLate(item);
+        if (lateBy < 0) continue;
+        if (lateBy > CATCH_UP_GRACE_MINUTES || (item.expiresAt && item.expiresAt <= now.getTime())) {
+          staleNotifications.push(item);
+        } else {
+          dueNotifications.push(item);
+        }
+      }
+
+      if (staleNotifications.length > 0) {
+        console.log(`⌛ Skipping ${staleNotifications.length} stale notifications (older than ${CATCH_UP_GRACE_MINUTES} minutes or expired).`);
+      }
+      if (dueNotifications.length > 0) {
+        console.log(`📬 Found ${dueNotifications.length} due notifications at ${currentTime}.`);
+      }
+
+      const toSend = [];
+      const subscribersByChat = dueNotifications.length > 0
+        ? new Map((await store.loadSubscribersCache()).map(s => [s.chatId, s]))
+        : new Map();
+      for (const item of dueNotifications) {
+        if (sentNotifications.has(item.dedupKey)) {
+          console.log(`⏭️ Skipping already sent notification: ${item.dedupKey}`);
+          metrics.notificationsDeduped++;
+          continue;
+        }
+        const subscriber = subscribersByChat.get(item.chatId);
+        if (subscriber && isNotificationMuted(subscriber.settings, item)) {
+          console.log(`🔕 Skipping muted notification: ${item.dedupKey}`);
+          continue;
+        }
+        toSend.push(item);
+      }
+
+      // Record the dedup keys before sending (at-most-once across restarts)
+      const sentAt = now.getTime();
+      for (const item of toSend) {
+        sentNotifications.set(item.dedupKey, sentAt);
+      }
+      await appendSentNotifications(toSend.map(item => item.dedupKey), sentAt);
+
+      for (const item of toSend) {
+        const lateBy = minutesLate(item);
+        try {
+          await bot.sendMessage(item.chatId, item.message, item.silent ? { disable_notification: true } : {});
+          console.log(`✅ Sent: "${item.message}" to ${item.chatId}${item.silent ? ' (silent)' : ''}${lateBy > 0 ? ` (caught up ${lateBy} min late)` : ''}`);
+          metrics.notificationsSent++;
+          store.recordDelivery(currentDate, 'sent');
+        } catch (error) {
+          console.error(`❌ Failed to send to ${item.chatId}:`, error.message);
+          metrics.notificationsFailed++;
+          store.recordDelivery(currentDate, 'failed');
+          if (error.response && (error.response.statusCode === 403 || error.response.statusCode === 400)) {
+            console.log(`🚫 User ${item.chatId} blocked the bot. Removing from subscribers.`);
+            await store.removeSubscriber(item.chatId, 'system:blocked');
+            notificationQueue = notificationQueue.filter(q => q.chatId !== item.chatId);
+          }
+        }
+      }
+
+      await store.saveDeliveryStats();
+
+      // Clean up processed items from the queue
+      if (dueNotifications.length > 0 || staleNotifications.length > 0) {
+        const processed = new Set([...dueNotifications, ...staleNotifications]);
+        notificationQueue = notificationQueue.filter(item => !processed.has(item));
+        await saveNotificationQueue();
+      }
+
+      // Cleanup old sent notification keys (runs every 10 mins)
+      if (now.getMinutes() % 10 === 0 && now.getSeconds() < 30) {
+        cleanupOldNotifications();
+      }
+    } catch (error) {
+      console.error('❌ Error in notification processing tick:', error);
+    }
+  }
+
+  return {
+    restore,
+    getUserDailyNotifications,
+    buildDailyQueue,
+    rescheduleUserNotifications,
+    removeChat,
+    forgetChat,
+    tick,
+    getQueue: () => notificationQueue,
+    getStatus: () => ({ date: notificationQueueDate, size: notificationQueue.length, sentTracked: sentNotifications.size }),
+  };
+}
+
+module.exports = { createScheduler, QUEUE_BUILD_TIME };
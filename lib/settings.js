@@ -0,0 +1,159 @@
+// Per-subscriber settings (subscriber.settings) and the rules that decide which notifications they get
+const { t, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('./i18n');
+const { prayerOrder } = require('./prayerTimes');
+
+const DEFAULT_REMINDER_MINUTES = 5;
+const MIN_REMINDER_MINUTES = 1;
+const MAX_REMINDER_MINUTES = 60;
+const MAX_REMINDERS_PER_PRAYER = 3;
+
+// settings.prayers: { fajr: { adhan: true, reminders: [30, 10] }, ... }
+function createPrayerSettings(reminderMinutes = DEFAULT_REMINDER_MINUTES) {
+  const prayers = {};
+  for (const prayerKey of prayerOrder) {
+    prayers[prayerKey] = { adhan: true, reminders: reminderMinutes > 0 ? [reminderMinutes] : [] };
+  }
+  return prayers;
+}
+
+// settings.ramadan: opt-in suhoor reminder (minutes before fajr) and iftar message at maghrib
+const SUHOOR_PRESETS = [15, 30, 45, 60];
+const DEFAULT_SUHOOR_MINUTES = 30;
+const IMSAK_MINUTES_BEFORE_FAJR = 10;
+
+function createRamadanSettings() {
+  return { suhoor: false, suhoorMinutes: DEFAULT_SUHOOR_MINUTES, iftar: false };
+}
+
+// settings.content: opt-in daily content from the content library. Each type is sent a fixed
+// number of minutes after a prayer; evening adhkar follow asr or maghrib as the subscriber prefers.
+const CONTENT_SCHEDULE = {
+  morning: { minutesAfter: 20 },
+  evening: { minutesAfter: 15 },
+  hadith: { prayer: 'dhuhr', minutesAfter: 30 },
+  dua: { prayer: 'maghrib', minutesAfter: 30 }
+};
+const EVENING_ADHKAR_PRAYERS = ['asr', 'maghrib'];
+
+function createContentSettings() {
+  return { morning: false, evening: false, eveningAfter: 'asr', hadith: false, dua: false };
+}
+
+// settings.jumuah: opt-in Friday notifications. `adhan` announces Jumu'ah instead of dhuhr, at the city's
+// Jumu'ah time (city.jumuahTime, the timetable's dhuhr when unset), and moves the dhuhr reminders with it.
+// `khutbah` reminds khutbahMinutes before that time; `kahf` reminds to read Surat al-Kahf on Thursday
+// evening or Friday morning (kahfWhen).
+const KHUTBAH_PRESETS = [15, 30, 45, 60];
+const DEFAULT_KHUTBAH_MINUTES = 30;
+const KAHF_SCHEDULE = {
+  thursday: { weekday: 4, prayer: 'maghrib', minutesAfter: 20 },
+  friday: { weekday: 5, prayer: 'fajr', minutesAfter: 60 }
+};
+
+function createJumuahSettings() {
+  return { adhan: false, khutbah: false, khutbahMinutes: DEFAULT_KHUTBAH_MINUTES, kahf: false, kahfWhen: 'thursday' };
+}
+
+// settings.quietHours: pre-prayer reminders and daily content falling inside [start, end) are not sent;
+// the adhan still is.
+// The window may wrap past midnight (22:00 -> 06:00).
+// settings.pausedUntil: ISO timestamp; nothing scheduled before it is sent (travel mode).
+// settings.prayers[prayerKey].silent: that prayer's messages are sent with disable_notification.
+const QUIET_START_PRESETS = ['21:00', '22:00', '23:00', '00:00'];
+const QUIET_END_PRESETS = ['05:00', '06:00', '07:00', '08:00'];
+const PAUSE_DAY_PRESETS = [1, 3, 7, 14];
+
+function createQuietHoursSettings() {
+  return { enabled: false, start: '22:00', end: '06:00' };
+}
+
+function createDefaultSettings(city, language = DEFAULT_LANGUAGE) {
+  return {
+    city,
+    language,
+    prayers: createPrayerSettings(),
+    ramadan: createRamadanSettings(),
+    content: createContentSettings(),
+    jumuah: createJumuahSettings(),
+    quietHours: createQuietHoursSettings(),
+    pausedUntil: null,
+  };
+}
+
+function getRamadanSettings(settings) {
+  return { ...createRamadanSettings(), ...(settings && settings.ramadan) };
+}
+
+function getContentSettings(settings) {
+  return { ...createContentSettings(), ...(settings && settings.content) };
+}
+
+function getJumuahSettings(settings) {
+  return { ...createJumuahSettings(), ...(settings && settings.jumuah) };
+}
+
+function getQuietHoursSettings(settings) {
+  return { ...createQuietHoursSettings(), ...(settings && settings.quietHours) };
+}
+
+function isInQuietHours(time, quietHours) {
+  const { start, end } = quietHours;
+  if (start === end) return false;
+  return start < end ? (time >= start && time < end) : (time >= start || time < end);
+}
+
+// Returns the pause end as a timestamp, or 0 when the subscriber is not paused at `at`
+function getPausedUntil(settings, at = Date.now()) {
+  const until = settings && settings.pausedUntil ? Date.parse(settings.pausedUntil) : NaN;
+  return !isNaN(until) && until > at ? until : 0;
+}
+
+// Checked when the queue is built and again when an item is due, so a change made
+// after the queue was built still applies. Quiet hours are on the wall clock of the subscriber's city.
+function isNotificationMuted(settings, item) {
+  if (getPausedUntil(settings, item.sendAt)) return true;
+  const quietHours = getQuietHoursSettings(settings);
+  return (item.type === 'reminder' || item.type === 'content') && quietHours.enabled && isInQuietHours(item.localTime, quietHours);
+}
+
+// settings.language is one of SUPPORTED_LANGUAGES; subscribers from before it existed get the default
+function getLanguage(settings) {
+  return (settings && SUPPORTED_LANGUAGES.includes(settings.language)) ? settings.language : DEFAULT_LANGUAGE;
+}
+
+function getPrayerName(prayerKey, lang) {
+  return t(lang, `prayers.${prayerKey}`);
+}
+
+function getPrayerSettings(settings, prayerKey) {
+  return (settings && settings.prayers && settings.prayers[prayerKey])
+    || { adhan: true, reminders: [DEFAULT_REMINDER_MINUTES] };
+}
+
+module.exports = {
+  DEFAULT_REMINDER_MINUTES,
+  MIN_REMINDER_MINUTES,
+  MAX_REMINDER_MINUTES,
+  MAX_REMINDERS_PER_PRAYER,
+  SUHOOR_PRESETS,
+  IMSAK_MINUTES_BEFORE_FAJR,
+  CONTENT_SCHEDULE,
+  EVENING_ADHKAR_PRAYERS,
+  KHUTBAH_PRESETS,
+  KAHF_SCHEDULE,
+  QUIET_START_PRESETS,
+  QUIET_END_PRESETS,
+  PAUSE_DAY_PRESETS,
+  createPrayerSettings,
+  createDefaultSettings,
+  getRamadanSettings,
+  getContentSettings,
+  getJumuahSettings,
+  getQuietHoursSettings,
+  isInQuietHours,
+  getPausedUntil,
+  isNotificationMuted,
+  getLanguage,
+  getPrayerName,
+  getPrayerSettings,
+};
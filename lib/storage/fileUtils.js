@@ -0,0 +1,52 @@
+const fsp = require('fs').promises;
+
+// Write to a temp file and rename it over the target, so a crash never leaves a half-written file.
+// Writes to the same file go one at a time (the last one wins), each through a temp file of its own.
+const fileLocks = new Map();
+let tempFileCounter = 0;
+
+function writeFileAtomic(filePath, data) {
+  if (!fileLocks.has(filePath)) fileLocks.set(filePath, createLock());
+  return fileLocks.get(filePath)(async () => {
+    const tempPath = `${filePath}.${process.pid}.${++tempFileCounter}.tmp`;
+    try {
+      await fsp.writeFile(tempPath, data);
+      await fsp.rename(tempPath, filePath);
+    } catch (error) {
+      await fsp.rm(tempPath, { force: true }).catch(() => {});
+      throw error;
+    }
+  });
+}
+
+// Reads a JSON file, returning `fallback` when it does not exist. A corrupt file is moved
+// aside (never overwritten) so its contents can still be recovered by hand.
+async function readJsonFile(filePath, fallback) {
+  let data;
+  try {
+    data = await fsp.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    const backupPath = `${filePath}.corrupt-${Date.now()}`;
+    await fsp.rename(filePath, backupPath);
+    console.error(`❌ Corrupt ${filePath}, moved it to ${backupPath}. Starting from an empty file.`);
+    return fallback;
+  }
+}
+
+// Serializes async operations so read-modify-write cycles never interleave
+function createLock() {
+  let tail = Promise.resolve();
+  return function withLock(fn) {
+    const run = tail.then(fn, fn);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+module.exports = { writeFileAtomic, readJsonFile, createLock };
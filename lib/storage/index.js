@@ -0,0 +1,21 @@
+const path = require('path');
+const { createJsonStorage } = require('./jsonStorage');
+
+// Storage backends share one interface:
+//   getSubscribers, replaceSubscribers, updateAllSubscribers, addSubscriber, removeSubscriber, updateSubscriber,
+//   getPrayerTimes, savePrayerTimes, updatePrayerTimes, getCities, saveCities, init, close.
+// Callers must use the update* methods for read-modify-write so concurrent handlers don't lose writes.
+// Update callbacks must be synchronous (SQLite runs them inside a transaction).
+function createStorage({ backend = 'json', dataPath, sqlitePath, defaultCityId }) {
+  if (backend === 'json') {
+    return createJsonStorage(dataPath, { defaultCityId });
+  }
+  if (backend === 'sqlite') {
+    // Required lazily so the JSON backend works without the native module installed
+    const { createSqliteStorage } = require('./sqliteStorage');
+    return createSqliteStorage(sqlitePath || path.join(dataPath, 'praybot.db'));
+  }
+  throw new Error(`Unknown storage backend "${backend}". Expected "json" or "sqlite".`);
+}
+
+module.exports = { createStorage };
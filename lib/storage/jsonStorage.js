@@ -0,0 +1,96 @@
+const path = require('path');
+const { writeFileAtomic, readJsonFile, createLock } = require('./fileUtils');
+
+// The original storage: one JSON file per collection under DATA_PATH.
+// Every operation goes through a single lock, and files are replaced atomically.
+function createJsonStorage(dataPath, { defaultCityId }) {
+  const subscribersPath = path.join(dataPath, 'subscribers.json');
+  const prayerTimesPath = path.join(dataPath, 'prayer_times.json');
+  const citiesPath = path.join(dataPath, 'cities.json');
+  const withLock = createLock();
+
+  const writeJson = (filePath, value) => writeFileAtomic(filePath, JSON.stringify(value, null, 2));
+
+  async function readPrayerTimes() {
+    const prayerTimes = await readJsonFile(prayerTimesPath, {});
+    // Migrate-on-read: the file used to be a single array for the default city
+    if (Array.isArray(prayerTimes)) {
+      console.log(`🔄 Migrating prayer_times.json to per-city format (${defaultCityId})...`);
+      const migrated = { [defaultCityId]: prayerTimes };
+      await writeJson(prayerTimesPath, migrated);
+      return migrated;
+    }
+    return prayerTimes;
+  }
+
+  // Entries of the old list of chat ids become { chatId } first, so they are found by chat id (and not
+  // added twice) before the store migrates them
+  async function updateSubscribers(update) {
+    const subscribers = (await readJsonFile(subscribersPath, [])).map(s => (typeof s === 'number' ? { chatId: s } : s));
+    const result = update(subscribers);
+    await writeJson(subscribersPath, subscribers);
+    return result;
+  }
+
+  return {
+    name: 'json',
+
+    async init() {},
+
+    async close() {},
+
+    getSubscribers: () => withLock(() => readJsonFile(subscribersPath, [])),
+
+    replaceSubscribers: (subscribers) => withLock(() => writeJson(subscribersPath, subscribers)),
+
+    // `update` receives every subscriber and returns the new list, or null to leave it as is.
+    // Returns the stored list.
+    updateAllSubscribers: (update) => withLock(async () => {
+      const subscribers = await readJsonFile(subscribersPath, []);
+      const updated = update(subscribers);
+      if (!updated) return subscribers;
+      await writeJson(subscribersPath, updated);
+      return updated;
+    }),
+
+    // Returns false when the chat is already subscribed
+    addSubscriber: (subscriber) => withLock(() => updateSubscribers(subscribers => {
+      if (subscribers.some(s => s.chatId === subscriber.chatId)) return false;
+      subscribers.push(subscriber);
+      return true;
+    })),
+
+    removeSubscriber: (chatId) => withLock(() => updateSubscribers(subscribers => {
+      const index = subscribers.findIndex(s => s.chatId === chatId);
+      if (index === -1) return false;
+      subscribers.splice(index, 1);
+      return true;
+    })),
+
+    // `update` mutates the stored subscriber in place. Returns the updated subscriber, or null.
+    updateSubscriber: (chatId, update) => withLock(() => updateSubscribers(subscribers => {
+      const subscriber = subscribers.find(s => s.chatId === chatId);
+      if (!subscriber) return null;
+      update(subscriber);
+      return subscriber;
+    })),
+
+    getPrayerTimes: () => withLock(readPrayerTimes),
+
+    savePrayerTimes: (prayerTimes) => withLock(() => writeJson(prayerTimesPath, prayerTimes)),
+
+    // `update` receives the current timetables and returns the new ones
+    updatePrayerTimes: (update) => withLock(async () => {
+      const updated = update(await readPrayerTimes());
+      await writeJson(prayerTimesPath, updated);
+      return updated;
+    }),
+
+    // Returns null when no cities have been saved yet
+    getCities: () => withLock(() => readJsonFile(citiesPath, null)),
+
+    saveCities: (cities) => withLock(() => writeJson(citiesPath, cities)),
+  };
+}
+
+module.exports = { createJsonStorage };
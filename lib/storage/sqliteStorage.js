@@ -0,0 +1,149 @@
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS subscribers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    chat_id INTEGER NOT NULL UNIQUE,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS prayer_times (
+    city TEXT NOT NULL,
+    date TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (city, date)
+  );
+  CREATE TABLE IF NOT EXISTS cities (
+    position INTEGER NOT NULL,
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+`;
+
+// Embedded SQLite backend. better-sqlite3 is synchronous, so every operation (and every
+// transaction) runs to completion before the next one starts: no interleaved writes.
+function createSqliteStorage(dbPath) {
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const statements = {
+    allSubscribers: db.prepare('SELECT data FROM subscribers ORDER BY id'),
+    getSubscriber: db.prepare('SELECT data FROM subscribers WHERE chat_id = ?'),
+    insertSubscriber: db.prepare('INSERT OR IGNORE INTO subscribers (chat_id, data) VALUES (?, ?)'),
+    updateSubscriber: db.prepare('UPDATE subscribers SET data = ? WHERE chat_id = ?'),
+    deleteSubscriber: db.prepare('DELETE FROM subscribers WHERE chat_id = ?'),
+    deleteAllSubscribers: db.prepare('DELETE FROM subscribers'),
+    allPrayerTimes: db.prepare('SELECT city, data FROM prayer_times ORDER BY city, date'),
+    insertPrayerTime: db.prepare('INSERT INTO prayer_times (city, date, data) VALUES (?, ?, ?)'),
+    deleteAllPrayerTimes: db.prepare('DELETE FROM prayer_times'),
+    allCities: db.prepare('SELECT data FROM cities ORDER BY position'),
+    insertCity: db.prepare('INSERT INTO cities (position, id, data) VALUES (?, ?, ?)'),
+    deleteAllCities: db.prepare('DELETE FROM cities'),
+  };
+
+  const readSubscribers = () => statements.allSubscribers.all().map(row => JSON.parse(row.data));
+
+  const readPrayerTimes = () => {
+    const prayerTimes = {};
+    for (const row of statements.allPrayerTimes.all()) {
+      (prayerTimes[row.city] = prayerTimes[row.city] || []).push(JSON.parse(row.data));
+    }
+    return prayerTimes;
+  };
+
+  const writeSubscribers = db.transaction(subscribers => {
+    statements.deleteAllSubscribers.run();
+    for (const subscriber of subscribers) {
+      statements.insertSubscriber.run(subscriber.chatId, JSON.stringify(subscriber));
+    }
+  });
+
+  const writePrayerTimes = db.transaction(prayerTimes => {
+    statements.deleteAllPrayerTimes.run();
+    for (const [city, rows] of Object.entries(prayerTimes)) {
+      for (const row of rows) {
+        statements.insertPrayerTime.run(city, row.date, JSON.stringify(row));
+      }
+    }
+  });
+
+  const writeCities = db.transaction(cities => {
+    statements.deleteAllCities.run();
+    cities.forEach((city, position) => statements.insertCity.run(position, city.id, JSON.stringify(city)));
+  });
+
+  return {
+    name: 'sqlite',
+
+    async init() {},
+
+    async close() {
+      db.close();
+    },
+
+    async getSubscribers() {
+      return readSubscribers();
+    },
+
+    async replaceSubscribers(subscribers) {
+      writeSubscribers(subscribers);
+    },
+
+    async updateAllSubscribers(update) {
+      return db.transaction(() => {
+        const subscribers = readSubscribers();
+        const updated = update(subscribers);
+        if (!updated) return subscribers;
+        writeSubscribers(updated);
+        return updated;
+      })();
+    },
+
+    async addSubscriber(subscriber) {
+      return statements.insertSubscriber.run(subscriber.chatId, JSON.stringify(subscriber)).changes > 0;
+    },
+
+    async removeSubscriber(chatId) {
+      return statements.deleteSubscriber.run(chatId).changes > 0;
+    },
+
+    // `update` must be synchronous here so the read-modify-write stays inside one transaction
+    async updateSubscriber(chatId, update) {
+      return db.transaction(() => {
+        const row = statements.getSubscriber.get(chatId);
+        if (!row) return null;
+        const subscriber = JSON.parse(row.data);
+        update(subscriber);
+        statements.updateSubscriber.run(JSON.stringify(subscriber), chatId);
+        return subscriber;
+      })();
+    },
+
+    async getPrayerTimes() {
+      return readPrayerTimes();
+    },
+
+    async savePrayerTimes(prayerTimes) {
+      writePrayerTimes(prayerTimes);
+    },
+
+    async updatePrayerTimes(update) {
+      return db.transaction(() => {
+        const updated = update(readPrayerTimes());
+        writePrayerTimes(updated);
+        return updated;
+      })();
+    },
+
+    async getCities() {
+      const cities = statements.allCities.all().map(row => JSON.parse(row.data));
+      return cities.length > 0 ? cities : null;
+    },
+
+    async saveCities(cities) {
+      writeCities(cities);
+    },
+  };
+}
+
+module.exports = { createSqliteStorage };
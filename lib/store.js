@@ -0,0 +1,988 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic, readJsonFile, createLock } = require('./storage/fileUtils');
+const { toHijri, RAMADAN_MONTH } = require('./hijri');
+const { t, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('./i18n');
+const { systemClock, getLocalDateTime, addDays } = require('./time');
+const {
+  validatePrayerTimes, sortByDate, mergePrayerTimes, diffPrayerTimes, computePrayerTimes, hasCoordinates, countPrayerTimeEntries
+} = require('./prayerTimes');
+const { DEFAULT_REMINDER_MINUTES, createPrayerSettings, createDefaultSettings, getPrayerName } = require('./settings');
+const { getRemovalReason } = require('./analytics');
+const { TEMPLATE_IDS, getTemplateType, getTemplateIds, fillTemplate } = require('./templates');
+
+const CACHE_TTL = 5 * 60 * 1000; // 5 دقائق
+const DELIVERY_STATS_DAYS = 90;
+
+// App config (DATA_PATH/config.json): admin-controlled settings that are not tied to a subscriber or a city.
+// hijriOffset shifts the Umm al-Qura date to match the local moon sighting; ramadanMode can force
+// Ramadan on or off instead of following the Hijri calendar.
+const HIJRI_OFFSET_LIMIT = 2;
+const RAMADAN_MODES = ['auto', 'on', 'off'];
+
+// Bot admins are kept in DATA_PATH/admins.json as [{ chatId, role, name, addedBy, addedAt }].
+// ADMIN_CHAT_ID is always an owner, so the bot can be bootstrapped and never locked out.
+const ROLE_PERMISSIONS = {
+  owner: ['admins', 'broadcast', 'content', 'hijri', 'stats', 'subscribers', 'templates', 'timetable'],
+  admin: ['broadcast', 'content', 'hijri', 'stats', 'subscribers', 'templates', 'timetable'],
+  moderator: ['stats', 'subscribers']
+};
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Adhkar, hadith and duas kept in DATA_PATH/content.json as
+// [{ id, type, text: { ar, fr?, en? }, source?, addedBy, addedAt }]. Every subscriber gets the same
+// entry of a type on a given day; entries take turns day after day.
+const CONTENT_TYPES = ['morning', 'evening', 'hadith', 'dua'];
+const CONTENT_MAX_LENGTH = 3500;
+
+function isValidHijriConfig({ hijriOffset, ramadanMode }) {
+  if (hijriOffset !== undefined && !(Number.isInteger(hijriOffset) && Math.abs(hijriOffset) <= HIJRI_OFFSET_LIMIT)) return false;
+  if (ramadanMode !== undefined && !RAMADAN_MODES.includes(ramadanMode)) return false;
+  return true;
+}
+
+// Returns a list of problems with a content entry (empty when valid)
+function validateContentItem({ type, text, source }) {
+  const errors = [];
+  if (!CONTENT_TYPES.includes(type)) {
+    errors.push(`Invalid type "${type}". Expected one of: ${CONTENT_TYPES.join(', ')}.`);
+  }
+  if (!text || typeof text !== 'object' || Array.isArray(text) || Object.keys(text).length === 0
+      || Object.entries(text).some(([lang, value]) => !SUPPORTED_LANGUAGES.includes(lang) || typeof value !== 'string' || !value.trim() || value.length > CONTENT_MAX_LENGTH)) {
+    errors.push(`Invalid text. Expected non-empty texts (up to ${CONTENT_MAX_LENGTH} characters) keyed by language (${SUPPORTED_LANGUAGES.join(', ')}).`);
+  }
+  if (source !== undefined && source !== null && typeof source !== 'string') {
+    errors.push('Invalid source. Expected a string.');
+  }
+  return errors;
+}
+
+function getContentText(item, lang) {
+  return item.text[lang] || item.text[DEFAULT_LANGUAGE] || Object.values(item.text)[0];
+}
+
+// city.names optionally translates the name, e.g. { "fr": "In Salah", "en": "In Salah" }
+function getCityName(city, lang) {
+  return (city.names && city.names[lang]) || city.name;
+}
+
+// city.jumuahTime ('HH:mm') is the Friday prayer time of the city's main mosque when it differs from dhuhr
+function getJumuahTime(city, row) {
+  return (city && city.jumuahTime) || row.dhuhr;
+}
+
+// Brings subscribers saved by older versions up to date. Returns the new list, or null when nothing changed.
+function migrateSubscribers(subscribers, defaultCityId) {
+  let needsSave = false;
+  // Each entry by its own type: a /start handled before the migration adds an object to the old list of numbers
+  if (subscribers.some(s => typeof s === 'number')) {
+    console.log('🔄 Migrating subscribers to new object format...');
+    subscribers = subscribers.map(s => (typeof s === 'number' ? {
+      chatId: s,
+      settings: createDefaultSettings(defaultCityId)
+    } : s));
+    needsSave = true;
+  }
+
+  // Data integrity check: ensure all items are objects with chatId and settings
+  const cleanSubscribers = subscribers
+    .filter(s => s && typeof s.chatId !== 'undefined')
+    .map(s => {
+      if (!s.settings) {
+        s.settings = createDefaultSettings(defaultCityId);
+        needsSave = true;
+      }
+      if (!s.username) {
+        s.username = 'Unknown';
+        needsSave = true;
+      }
+      if (!s.settings.city) {
+        s.settings.city = defaultCityId;
+        needsSave = true;
+      }
+      if (!s.settings.prayers) {
+        // The old single globalReminderMinutes becomes the reminder of every prayer
+        const minutes = typeof s.settings.globalReminderMinutes === 'number' ? s.settings.globalReminderMinutes : DEFAULT_REMINDER_MINUTES;
+        s.settings.prayers = createPrayerSettings(minutes);
+        delete s.settings.globalReminderMinutes;
+        needsSave = true;
+      }
+      return s;
+    });
+
+  if (cleanSubscribers.length !== subscribers.length) {
+    console.warn('⚠️ Found and removed invalid entries from subscribers list.');
+    needsSave = true;
+  }
+  return needsSave ? cleanSubscribers : null;
+}
+
+// Everything the bot keeps between requests: subscribers, timetables and cities (through the storage
+// backend, with in-memory caches), plus the files of its own in DATA_PATH (audit log, analytics,
+// app config, admins, the content library, message templates and conversations). Call load() once before use.
+function createStore({ config, storage, clock = systemClock }) {
+  const {
+    DATA_PATH, ADMIN_CHAT_ID, DEFAULT_CITY_ID, DEFAULT_CITY_NAME, DEFAULT_CITY_LATITUDE, DEFAULT_CITY_LONGITUDE,
+    DEFAULT_CALCULATION_METHOD, COMPUTED_DAYS_AHEAD, TIMEZONE
+  } = config;
+  const AUDIT_LOG_PATH = path.join(DATA_PATH, 'audit_log.jsonl');
+  // Subscribe/unsubscribe events go to an append-only JSON Lines file of their own, so stats do not
+  // depend on the audit log being kept. Delivery counts of the notification tick are kept per day.
+  const SUBSCRIBER_EVENTS_PATH = path.join(DATA_PATH, 'subscriber_events.jsonl');
+  const DELIVERY_STATS_PATH = path.join(DATA_PATH, 'delivery_stats.json');
+  const APP_CONFIG_PATH = path.join(DATA_PATH, 'config.json');
+  const ADMINS_PATH = path.join(DATA_PATH, 'admins.json');
+  const CONTENT_PATH = path.join(DATA_PATH, 'content.json');
+  // Message templates (see lib/templates.js) as { "<id>": { text: { ar?, fr?, en? }, updatedBy, updatedAt } }
+  const TEMPLATES_PATH = path.join(DATA_PATH, 'templates.json');
+  // What the bot is waiting for in each chat, as { "<chatId>": { type, data, expiresAt } }
+  const CONVERSATIONS_PATH = path.join(DATA_PATH, 'conversations.json');
+
+  // نظام الكاش المحسن
+  let prayerTimesCache = null;
+  let subscribersCache = null;
+  let prayerCacheTimestamp = 0;
+  let subscribersCacheTimestamp = 0;
+  // Last-Modified of the read API: when the timetables (or the cities they are computed from) last changed
+  let prayerTimesLastModified = Date.now();
+  let prayerTimesHash = null;
+  // Cities: [{ id, name, latitude?, longitude?, ... }]. Only this process writes them, so they are cached without a TTL.
+  let citiesCache = null;
+  let appConfig = { hijriOffset: 0, ramadanMode: 'auto' };
+  let admins = [];
+  let contentLibrary = [];
+  let templates = {};
+  let conversations = {};
+
+  // Rewrites a JSON Lines file under the lock its appends go through. `update` returns the entry to keep
+  // (the same object when unchanged) or null to drop it; lines that do not parse are kept as they are.
+  // Returns how many entries were changed or dropped.
+  function rewriteJsonLines(filePath, withFileLock, update) {
+    return withFileLock(async () => {
+      let data;
+      try {
+        data = await fsp.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+      }
+      let changed = 0;
+      const lines = [];
+      for (const line of data.split('\n')) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          lines.push(line);
+          continue;
+        }
+        const next = update(entry);
+        if (next === entry) {
+          lines.push(line);
+          continue;
+        }
+        changed++;
+        if (next !== null) lines.push(JSON.stringify(next));
+      }
+      if (changed > 0) await writeFileAtomic(filePath, lines.map(line => line + '\n').join(''));
+      return changed;
+    });
+  }
+
+  // --- AUDIT LOG ---
+  // Append-only JSON Lines file: one entry per change to prayer times or subscribers. The one rewrite
+  // is forgetChat (/deletemydata), under the same lock as the appends.
+  const withAuditLogLock = createLock();
+
+  async function appendAuditLog(actor, action, summary, details) {
+    const entry = {
+      timestamp: clock.now().toISOString(),
+      actor,
+      action,
+      summary,
+    };
+    if (details !== undefined) entry.details = details;
+    try {
+      await withAuditLogLock(() => fsp.appendFile(AUDIT_LOG_PATH, JSON.stringify(entry) + '\n'));
+    } catch (error) {
+      console.error('❌ Error writing audit log:', error);
+    }
+  }
+
+  // All entries, oldest first
+  async function readAuditEntries() {
+    const entries = [];
+    try {
+      const data = await fsp.readFile(AUDIT_LOG_PATH, 'utf8');
+      for (const line of data.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          console.warn('⚠️ Skipping corrupt audit log line.');
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return entries;
+  }
+
+  // Returns entries newest first
+  async function readAuditLog({ page = 1, limit = 50, action } = {}) {
+    let entries = await readAuditEntries();
+    if (action) {
+      entries = entries.filter(entry => entry.action === action);
+    }
+    entries.reverse();
+
+    const total = entries.length;
+    const start = (page - 1) * limit;
+    return {
+      page,
+      limit,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+      entries: entries.slice(start, start + limit),
+    };
+  }
+
+  // --- ANALYTICS ---
+  // Appends and the forgetChat rewrite of the subscriber events go through this lock
+  const withSubscriberEventsLock = createLock();
+  let deliveryStats = {};
+  let deliveryStatsDirty = false;
+
+  // reason: 'start' for new subscribers; 'stop', 'blocked' (403 or bot blocked) or 'removed' (bot left the chat) otherwise
+  async function appendSubscriberEvent(type, subscriber, reason) {
+    const event = {
+      timestamp: clock.now().toISOString(),
+      type,
+      chatId: subscriber.chatId,
+      chatType: subscriber.chatType || (subscriber.chatId > 0 ? 'private' : 'group'),
+      reason
+    };
+    try {
+      await withSubscriberEventsLock(() => fsp.appendFile(SUBSCRIBER_EVENTS_PATH, JSON.stringify(event) + '\n'));
+    } catch (error) {
+      console.error('❌ Error writing subscriber event:', error);
+    }
+  }
+
+  async function readSubscriberEvents() {
+    const events = [];
+    try {
+      const data = await fsp.readFile(SUBSCRIBER_EVENTS_PATH, 'utf8');
+      for (const line of data.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          events.push(JSON.parse(line));
+        } catch (error) {
+          console.warn('⚠️ Skipping corrupt subscriber event line.');
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return events;
+  }
+
+  async function loadDeliveryStats() {
+    deliveryStats = await readJsonFile(DELIVERY_STATS_PATH, {});
+    return deliveryStats;
+  }
+
+  function recordDelivery(date, outcome) {
+    const day = deliveryStats[date] || (deliveryStats[date] = { sent: 0, failed: 0 });
+    day[outcome]++;
+    deliveryStatsDirty = true;
+  }
+
+  // Called once per tick; drops days older than DELIVERY_STATS_DAYS
+  async function saveDeliveryStats() {
+    if (!deliveryStatsDirty) return;
+    const oldest = addDays(getLocalDateTime(TIMEZONE, clock.now()).date, -DELIVERY_STATS_DAYS);
+    for (const date of Object.keys(deliveryStats)) {
+      if (date < oldest) delete deliveryStats[date];
+    }
+    deliveryStatsDirty = false;
+    try {
+      await writeFileAtomic(DELIVERY_STATS_PATH, JSON.stringify(deliveryStats));
+    } catch (error) {
+      deliveryStatsDirty = true;
+      console.error('❌ Error saving delivery stats:', error);
+    }
+  }
+
+  // --- SUBSCRIBERS & PRAYER TIMES ---
+  // Keeps the in-memory cache in sync after a write through the storage layer
+  async function refreshSubscribersCache() {
+    subscribersCache = await storage.getSubscribers();
+    subscribersCacheTimestamp = Date.now();
+    return subscribersCache;
+  }
+
+  // Returns false when the chat is already subscribed
+  async function addSubscriber(subscriber) {
+    const added = await storage.addSubscriber(subscriber);
+    await refreshSubscribersCache();
+    if (added) await appendSubscriberEvent('subscribe', subscriber, 'start');
+    return added;
+  }
+
+  // `update` mutates the subscriber synchronously. Returns the updated subscriber, or null.
+  async function updateSubscriber(chatId, update) {
+    const updated = await storage.updateSubscriber(chatId, update);
+    if (updated) {
+      await refreshSubscribersCache();
+    }
+    return updated;
+  }
+
+  async function removeSubscriber(chatId, actor = 'system') {
+    const existing = (await loadSubscribersCache()).find(s => s.chatId === chatId) || { chatId };
+    const removed = await storage.removeSubscriber(chatId);
+    if (removed) {
+      const subscribers = await refreshSubscribersCache();
+      console.log(`🗑️ Subscriber ${chatId} removed. Total subscribers: ${subscribers.length}`);
+      await appendAuditLog(actor, 'subscriber.remove', `Removed subscriber ${chatId}`, { chatId });
+      await appendSubscriberEvent('unsubscribe', existing, getRemovalReason(actor));
+    }
+    return removed;
+  }
+
+  // Prayer times are stored per city: { "<cityId>": [rows...] }
+  async function savePrayerTimes(prayerTimes) {
+    await storage.savePrayerTimes(prayerTimes);
+    prayerTimesCache = prayerTimes; // Update cache immediately
+    prayerCacheTimestamp = Date.now();
+    trackPrayerTimesChange(prayerTimesCache);
+  }
+
+  // Read-modify-write of all timetables; `update` is synchronous and returns the new timetables
+  async function mutatePrayerTimes(update) {
+    prayerTimesCache = await storage.updatePrayerTimes(update);
+    prayerCacheTimestamp = Date.now();
+    trackPrayerTimesChange(prayerTimesCache);
+    return prayerTimesCache;
+  }
+
+  // --- ENHANCED CACHE SYSTEM ---
+  async function loadPrayerTimesCache() {
+    const now = Date.now();
+    if (prayerTimesCache && (now - prayerCacheTimestamp < CACHE_TTL)) {
+      return prayerTimesCache;
+    }
+
+    try {
+      prayerTimesCache = await storage.getPrayerTimes();
+      prayerCacheTimestamp = now;
+      trackPrayerTimesChange(prayerTimesCache);
+      console.log(`📋 Prayer times cache refreshed: ${countPrayerTimeEntries(prayerTimesCache)} entries in ${Object.keys(prayerTimesCache).length} cities`);
+      return prayerTimesCache;
+    } catch (error) {
+      console.error('❌ Error loading prayer times:', error);
+      throw error;
+    }
+  }
+
+  function trackPrayerTimesChange(prayerTimes) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(prayerTimes)).digest('hex');
+    if (hash !== prayerTimesHash) {
+      if (prayerTimesHash !== null) prayerTimesLastModified = Date.now();
+      prayerTimesHash = hash;
+    }
+  }
+
+  async function loadCityPrayerTimes(cityId) {
+    const prayerTimes = await loadPrayerTimesCache();
+    return prayerTimes[cityId] || [];
+  }
+
+  async function loadSubscribersCache() {
+    const now = Date.now();
+    if (subscribersCache && (now - subscribersCacheTimestamp < CACHE_TTL)) {
+      return subscribersCache;
+    }
+
+    try {
+      // Migrate-on-read inside the storage lock, so a /start arriving meanwhile is not overwritten
+      subscribersCache = await storage.updateAllSubscribers(saved => migrateSubscribers(saved, DEFAULT_CITY_ID));
+      subscribersCacheTimestamp = now;
+      console.log(`👥 Subscribers cache refreshed: ${subscribersCache.length} users`);
+      return subscribersCache;
+    } catch (error) {
+      console.error('❌ Error loading subscribers:', error);
+      throw error;
+    }
+  }
+
+  // --- CITIES ---
+  async function saveCities(cities) {
+    await storage.saveCities(cities);
+    citiesCache = cities;
+    prayerTimesLastModified = Date.now();
+  }
+
+  async function loadCities() {
+    if (citiesCache) {
+      return citiesCache;
+    }
+    try {
+      citiesCache = await storage.getCities();
+    } catch (error) {
+      console.error('❌ Error loading cities:', error);
+      throw error;
+    }
+    if (!citiesCache) {
+      console.log('🏙️ No cities saved yet, creating the default city.');
+      await saveCities([{ id: DEFAULT_CITY_ID, name: DEFAULT_CITY_NAME }]);
+    }
+
+    // Migrate-on-read: older cities files have no coordinates for the default city
+    const defaultCity = citiesCache.find(c => c.id === DEFAULT_CITY_ID);
+    if (defaultCity && !hasCoordinates(defaultCity) && !isNaN(DEFAULT_CITY_LATITUDE) && !isNaN(DEFAULT_CITY_LONGITUDE)) {
+      defaultCity.latitude = DEFAULT_CITY_LATITUDE;
+      defaultCity.longitude = DEFAULT_CITY_LONGITUDE;
+      defaultCity.method = defaultCity.method || DEFAULT_CALCULATION_METHOD;
+      await saveCities(citiesCache);
+    }
+    return citiesCache;
+  }
+
+  // Falls back to the default city so a subscriber is never left without a timetable name
+  async function getCity(cityId) {
+    const cities = await loadCities();
+    return cities.find(c => c.id === cityId)
+      || cities.find(c => c.id === DEFAULT_CITY_ID)
+      || { id: DEFAULT_CITY_ID, name: DEFAULT_CITY_NAME };
+  }
+
+  // Timetable dates and times of a city are on this wall clock
+  function getCityTimezone(city) {
+    return (city && city.timezone) || TIMEZONE;
+  }
+
+  // Sets (or with null clears) the Jumu'ah time of a city. Returns the city, or null when it does not exist.
+  // Callers rebuild the queue.
+  async function setCityJumuahTime(cityId, time, actor) {
+    const cities = [...await loadCities()];
+    const index = cities.findIndex(c => c.id === cityId);
+    if (index === -1) return null;
+    const city = { ...cities[index] };
+    if (time) city.jumuahTime = time;
+    else delete city.jumuahTime;
+    cities[index] = city;
+    await saveCities(cities);
+    await appendAuditLog(actor, 'cities.jumuah', `Jumu'ah time of ${cityId} ${time ? `set to ${time}` : 'reset to dhuhr'}`, { cityId, jumuahTime: time || null });
+    return city;
+  }
+
+  // Today's date and the current time in the city's timezone
+  function getCityDateTime(city, now = clock.now()) {
+    return getLocalDateTime(getCityTimezone(city), now);
+  }
+
+  function getSubscriberCityId(subscriber) {
+    return (subscriber && subscriber.settings && subscriber.settings.city) || DEFAULT_CITY_ID;
+  }
+
+  // --- APP CONFIG ---
+  async function loadAppConfig() {
+    appConfig = { ...appConfig, ...await readJsonFile(APP_CONFIG_PATH, {}) };
+    return appConfig;
+  }
+
+  // `update` mutates a copy of the config; the caller decides whether the queue needs rebuilding
+  async function updateAppConfig(update) {
+    const next = { ...appConfig };
+    update(next);
+    await writeFileAtomic(APP_CONFIG_PATH, JSON.stringify(next, null, 2));
+    appConfig = next;
+    // Hijri dates are part of the read API responses
+    prayerTimesLastModified = Date.now();
+    return appConfig;
+  }
+
+  // Shared by the bot and the API. Ramadan notifications depend on it, so callers rebuild the queue.
+  async function updateHijriConfig(changes, actor) {
+    const config = await updateAppConfig(next => Object.assign(next, changes));
+    await appendAuditLog(actor, 'config.hijri', `Hijri offset ${config.hijriOffset}, Ramadan mode ${config.ramadanMode}`, changes);
+    return config;
+  }
+
+  function getHijriDate(date) {
+    return toHijri(date, appConfig.hijriOffset);
+  }
+
+  function formatHijriDate(date, lang) {
+    const hijri = getHijriDate(date);
+    return t(lang, 'hijri.date', { day: hijri.day, month: t(lang, 'hijri.months')[hijri.month - 1], year: hijri.year });
+  }
+
+  function isRamadanDate(date) {
+    if (appConfig.ramadanMode !== 'auto') return appConfig.ramadanMode === 'on';
+    return getHijriDate(date).month === RAMADAN_MONTH;
+  }
+
+  // --- ADMIN ROLES ---
+  async function loadAdmins() {
+    const saved = await readJsonFile(ADMINS_PATH, []);
+    admins = Array.isArray(saved) ? saved.filter(a => a && a.chatId !== undefined && ADMIN_ROLES.includes(a.role)) : [];
+    return admins;
+  }
+
+  async function saveAdmins(next) {
+    await writeFileAtomic(ADMINS_PATH, JSON.stringify(next, null, 2));
+    admins = next;
+  }
+
+  function isEnvOwner(chatId) {
+    return Boolean(ADMIN_CHAT_ID) && String(chatId) === String(ADMIN_CHAT_ID);
+  }
+
+  // Returns 'owner', 'admin', 'moderator' or null
+  function getAdminRole(chatId) {
+    if (isEnvOwner(chatId)) return 'owner';
+    const entry = admins.find(a => String(a.chatId) === String(chatId));
+    return entry ? entry.role : null;
+  }
+
+  function hasPermission(chatId, permission) {
+    const role = getAdminRole(chatId);
+    return Boolean(role) && ROLE_PERMISSIONS[role].includes(permission);
+  }
+
+  // Adds an admin or changes their role
+  async function setAdminRole(chatId, role, name, actor) {
+    const next = admins.filter(a => String(a.chatId) !== String(chatId));
+    next.push({ chatId, role, name, addedBy: actor, addedAt: clock.now().toISOString() });
+    await saveAdmins(next);
+    await appendAuditLog(actor, 'admin.add', `${name || chatId} is now ${role}`, { chatId, role });
+  }
+
+  async function removeAdmin(chatId, actor) {
+    const entry = admins.find(a => String(a.chatId) === String(chatId));
+    if (!entry) return false;
+    await saveAdmins(admins.filter(a => a !== entry));
+    await appendAuditLog(actor, 'admin.remove', `${entry.name || chatId} (${entry.role}) removed`, { chatId, role: entry.role });
+    return true;
+  }
+
+  // --- CONTENT LIBRARY ---
+  async function loadContentLibrary() {
+    const saved = await readJsonFile(CONTENT_PATH, []);
+    contentLibrary = Array.isArray(saved) ? saved.filter(item => item && CONTENT_TYPES.includes(item.type) && item.text) : [];
+    return contentLibrary;
+  }
+
+  async function saveContentLibrary(next) {
+    await writeFileAtomic(CONTENT_PATH, JSON.stringify(next, null, 2));
+    contentLibrary = next;
+  }
+
+  // Adds an entry, or replaces the one with the same id
+  async function upsertContentItem({ id, type, text, source }, actor) {
+    const existing = id ? contentLibrary.find(item => item.id === id) : null;
+    const item = {
+      id: existing ? existing.id : crypto.randomBytes(4).toString('hex'),
+      type,
+      text: Object.fromEntries(Object.entries(text).map(([lang, value]) => [lang, value.trim()])),
+      ...(source ? { source: source.trim() } : {}),
+      addedBy: existing ? existing.addedBy : actor,
+      addedAt: existing ? existing.addedAt : clock.now().toISOString()
+    };
+    await saveContentLibrary(existing
+      ? contentLibrary.map(entry => (entry === existing ? item : entry))
+      : [...contentLibrary, item]);
+    await appendAuditLog(actor, 'content.upsert', `${existing ? 'Updated' : 'Added'} ${type} ${item.id}`, { id: item.id, type });
+    return item;
+  }
+
+  async function removeContentItem(id, actor) {
+    const entry = contentLibrary.find(item => item.id === id);
+    if (!entry) return false;
+    await saveContentLibrary(contentLibrary.filter(item => item !== entry));
+    await appendAuditLog(actor, 'content.delete', `Removed ${entry.type} ${id}`, { id, type: entry.type });
+    return true;
+  }
+
+  // The entry of `type` for a YYYY-MM-DD date, or null when the library has none
+  function getDailyContent(type, date) {
+    const items = contentLibrary.filter(item => item.type === type);
+    if (items.length === 0) return null;
+    const dayNumber = Math.floor(Date.parse(`${date}T00:00:00Z`) / (24 * 60 * 60 * 1000));
+    return items[dayNumber % items.length];
+  }
+
+  // --- MESSAGE TEMPLATES ---
+  async function loadTemplates() {
+    const saved = await readJsonFile(TEMPLATES_PATH, {});
+    templates = Object.fromEntries(Object.entries(saved || {}).filter(([id, entry]) => TEMPLATE_IDS.includes(id) && entry && entry.text));
+    return templates;
+  }
+
+  async function saveTemplates(next) {
+    await writeFileAtomic(TEMPLATES_PATH, JSON.stringify(next, null, 2));
+    templates = next;
+  }
+
+  // Sets the given languages of a template; the other languages keep their text
+  async function setTemplate(id, text, actor) {
+    const existing = templates[id];
+    const entry = {
+      text: {
+        ...(existing ? existing.text : {}),
+        ...Object.fromEntries(Object.entries(text).map(([lang, value]) => [lang, value.trim()]))
+      },
+      updatedBy: actor,
+      updatedAt: clock.now().toISOString()
+    };
+    await saveTemplates({ ...templates, [id]: entry });
+    await appendAuditLog(actor, 'template.set', `Updated template ${id} (${Object.keys(text).join(', ')})`, { id, text });
+    return entry;
+  }
+
+  // Goes back to the built-in text for one language, or for all of them. Returns false when nothing was set.
+  async function resetTemplate(id, lang, actor) {
+    const existing = templates[id];
+    if (!existing || (lang && !existing.text[lang])) return false;
+    const next = { ...templates };
+    const remaining = lang ? Object.fromEntries(Object.entries(existing.text).filter(([key]) => key !== lang)) : {};
+    if (Object.keys(remaining).length > 0) {
+      next[id] = { ...existing, text: remaining, updatedBy: actor, updatedAt: clock.now().toISOString() };
+    } else {
+      delete next[id];
+    }
+    await saveTemplates(next);
+    await appendAuditLog(actor, 'template.reset', `Reset template ${id}${lang ? ` (${lang})` : ''}`, { id, lang });
+    return true;
+  }
+
+  // The text an adhan or reminder is sent with: the most specific template in the subscriber's
+  // language, or the built-in text. params: { prayer, time, city, minutes? }
+  function formatNotification(type, { prayerKey, isJumuah, date, lang, params }) {
+    const allParams = { ...params, hijri: formatHijriDate(date, lang), date };
+    const id = getTemplateIds(type, prayerKey, isJumuah).find(candidate => templates[candidate] && templates[candidate].text[lang]);
+    return id ? fillTemplate(templates[id].text[lang], allParams) : t(lang, `notifications.${type}`, allParams);
+  }
+
+  // A template (or an unsaved `text`) filled with today's times of the default city
+  async function previewTemplate(id, lang, text) {
+    const { date } = getLocalDateTime(TIMEZONE, clock.now());
+    const type = getTemplateType(id);
+    const scope = id.split('.')[1];
+    const prayerKey = scope && scope !== 'jumuah' ? scope : 'dhuhr';
+    const row = await getPrayerTimesForDate(DEFAULT_CITY_ID, date);
+    const city = await getCity(DEFAULT_CITY_ID);
+    const params = {
+      prayer: getPrayerName(prayerKey, lang),
+      time: row ? row[prayerKey] : '12:30',
+      minutes: DEFAULT_REMINDER_MINUTES,
+      city: getCityName(city, lang),
+      hijri: formatHijriDate(date, lang),
+      date
+    };
+    const template = text || (templates[id] && templates[id].text[lang]);
+    return template ? fillTemplate(template, params) : t(lang, `notifications.${type}`, params);
+  }
+
+  // --- CONVERSATIONS ---
+  // A prompt waiting for a typed reply (reminder minutes, a broadcast) or a timetable preview waiting for
+  // its buttons. There is at most one per chat: starting another replaces it. They are saved so a restart
+  // does not lose them, and expire so a forgotten prompt does not swallow a later message.
+  function withoutExpiredConversations(states) {
+    const now = clock.now().getTime();
+    return Object.fromEntries(Object.entries(states || {}).filter(([, state]) => state && state.expiresAt > now));
+  }
+
+  async function loadConversations() {
+    conversations = withoutExpiredConversations(await readJsonFile(CONVERSATIONS_PATH, {}));
+    return conversations;
+  }
+
+  // Changes go one at a time: `update` gets the current conversations and returns the new ones, or
+  // null to leave them as they are
+  const withConversationsLock = createLock();
+  function updateConversations(update) {
+    return withConversationsLock(async () => {
+      const next = update(conversations);
+      if (!next) return false;
+      await writeFileAtomic(CONVERSATIONS_PATH, JSON.stringify(next, null, 2));
+      conversations = next;
+      return true;
+    });
+  }
+
+  // The chat's conversation, or null when there is none, it expired or it is not of `type`
+  function getConversation(chatId, type) {
+    const state = conversations[chatId];
+    if (!state || state.expiresAt <= clock.now().getTime()) return null;
+    return !type || state.type === type ? state : null;
+  }
+
+  async function setConversation(chatId, type, data, ttlMs) {
+    const state = { type, data: data === undefined ? null : data, expiresAt: clock.now().getTime() + ttlMs };
+    await updateConversations(current => ({ ...withoutExpiredConversations(current), [chatId]: state }));
+    return state;
+  }
+
+  // Returns false when the chat had no conversation
+  function clearConversation(chatId) {
+    return updateConversations(current => {
+      if (!current[chatId]) return null;
+      const next = { ...current };
+      delete next[chatId];
+      return next;
+    });
+  }
+
+  // --- PERSONAL DATA ---
+  // Audit entries written for a chat's own subscription (subscribe, settings changes, unsubscribe)
+  function isSubscriberAuditEntry(entry, chatId) {
+    return entry.action.startsWith('subscriber.') && Boolean(entry.details) && entry.details.chatId === chatId;
+  }
+
+  // Everything kept about a chat, for /mydata
+  async function exportChatData(chatId) {
+    const subscriber = (await loadSubscribersCache()).find(s => s.chatId === chatId) || null;
+    const conversation = getConversation(chatId);
+    return {
+      chatId,
+      exportedAt: clock.now().toISOString(),
+      subscriber,
+      adminRole: getAdminRole(chatId),
+      conversation: conversation && { ...conversation, expiresAt: new Date(conversation.expiresAt).toISOString() },
+      auditLog: (await readAuditEntries()).filter(entry => isSubscriberAuditEntry(entry, chatId)),
+      subscriberEvents: (await readSubscriberEvents()).filter(event => event.chatId === chatId),
+    };
+  }
+
+  // Goes further than removeSubscriber: also drops the chat's conversation and the audit entries of its
+  // subscription, and strips the chat id from its subscribe/unsubscribe events (stats still count them).
+  // Admin roles are left to the owners. Callers also remove the chat from the scheduler (scheduler.forgetChat).
+  // Returns false when nothing was kept about the chat.
+  async function forgetChat(chatId, actor) {
+    const removed = await removeSubscriber(chatId, actor);
+    const clearedConversation = await clearConversation(chatId);
+    const droppedEntries = await rewriteJsonLines(AUDIT_LOG_PATH, withAuditLogLock,
+      entry => (isSubscriberAuditEntry(entry, chatId) ? null : entry));
+    await rewriteJsonLines(SUBSCRIBER_EVENTS_PATH, withSubscriberEventsLock,
+      event => (event.chatId === chatId ? { ...event, chatId: null } : event));
+
+    const forgotten = removed || clearedConversation || droppedEntries > 0;
+    if (forgotten) {
+      await appendAuditLog('system', 'subscriber.forget', `A chat deleted its data (${droppedEntries} audit entries)`);
+    }
+    return forgotten;
+  }
+
+  // --- TIMETABLES ---
+  // Shared by every timetable ingestion path. timetables: { "<cityId>": [rows...] }
+  // Returns { errors, message } when validation fails, otherwise { diff, message } with one diff per city.
+  // Today's times may change, so callers rebuild the notification queue after a real update.
+  async function updatePrayerTimes(timetables, { mode = 'replace', dryRun = false, actor = 'system' } = {}) {
+    const cities = await loadCities();
+    const errors = [];
+    for (const [cityId, rows] of Object.entries(timetables)) {
+      if (!cities.some(c => c.id === cityId)) {
+        errors.push({ city: cityId, index: null, date: null, errors: [`Unknown city "${cityId}". Add it via POST /api/cities first.`] });
+        continue;
+      }
+      errors.push(...validatePrayerTimes(rows).map(error => ({ city: cityId, ...error })));
+    }
+    if (errors.length > 0) {
+      return { errors, message: `Validation failed for ${errors.length} entries.` };
+    }
+
+    let diff;
+    const applyUpdate = existing => {
+      const updated = { ...existing };
+      diff = {};
+      for (const [cityId, rows] of Object.entries(timetables)) {
+        const before = existing[cityId] || [];
+        updated[cityId] = mode === 'merge' ? mergePrayerTimes(before, rows) : sortByDate(rows);
+        diff[cityId] = diffPrayerTimes(before, updated[cityId]);
+      }
+      return updated;
+    };
+
+    if (dryRun) {
+      applyUpdate(await loadPrayerTimesCache());
+      return { diff, message: 'Dry run: no changes were saved.' };
+    }
+
+    await mutatePrayerTimes(applyUpdate);
+    const summary = Object.entries(diff)
+      .map(([cityId, d]) => `${cityId}: ${d.added.length} added, ${d.updated.length} updated, ${d.removed.length} removed`)
+      .join('; ');
+    const message = `Successfully updated prayer times (${mode}). ${summary}.`;
+    console.log(message);
+    await appendAuditLog(actor, 'prayer_times.update', message, {
+      mode,
+      cities: Object.fromEntries(Object.entries(diff).map(([cityId, d]) => [cityId, {
+        added: d.added.map(row => row.date),
+        updated: d.updated.map(change => change.date),
+        removed: d.removed,
+      }])),
+    });
+    return { diff, message };
+  }
+
+  function computeCityPrayerTimes(city, date) {
+    return computePrayerTimes(city, date, { method: city.method || DEFAULT_CALCULATION_METHOD, timeZone: getCityTimezone(city) });
+  }
+
+  // Fills missing rows for today and the next COMPUTED_DAYS_AHEAD days in every city with coordinates
+  async function fillMissingPrayerTimes(fromDate = getLocalDateTime(TIMEZONE, clock.now()).date) {
+    const cities = (await loadCities()).filter(hasCoordinates);
+    const dates = [];
+    for (let i = 0; i <= COMPUTED_DAYS_AHEAD; i++) {
+      dates.push(addDays(fromDate, i));
+    }
+    const findMissing = (prayerTimes, city) => {
+      const existingDates = new Set((prayerTimes[city.id] || []).map(row => row.date));
+      return dates.filter(date => !existingDates.has(date));
+    };
+
+    // Cheap check against the cache first, so nothing is written when no day is missing
+    const cached = await loadPrayerTimesCache();
+    if (!cities.some(city => findMissing(cached, city).length > 0)) {
+      return 0;
+    }
+
+    let filled = 0;
+    await mutatePrayerTimes(prayerTimes => {
+      const updated = { ...prayerTimes };
+      for (const city of cities) {
+        const computed = findMissing(prayerTimes, city)
+          .map(date => computeCityPrayerTimes(city, date))
+          .filter(Boolean);
+        if (computed.length > 0) {
+          updated[city.id] = mergePrayerTimes(prayerTimes[city.id] || [], computed);
+          filled += computed.length;
+          console.log(`🧮 Computed ${computed.length} missing days for ${city.id} (${city.method || DEFAULT_CALCULATION_METHOD})`);
+        }
+      }
+      return updated;
+    });
+    return filled;
+  }
+
+  // Timetable row for a city and date, computing (and saving) one when no row exists
+  async function getPrayerTimesForDate(cityId, date) {
+    const rows = await loadCityPrayerTimes(cityId);
+    const row = rows.find(p => p.date === date);
+    if (row) return row;
+
+    const cities = await loadCities();
+    const city = cities.find(c => c.id === cityId);
+    if (!city || !hasCoordinates(city)) return null;
+    const computed = computeCityPrayerTimes(city, date);
+    if (!computed) return null;
+
+    await mutatePrayerTimes(prayerTimes => ({
+      ...prayerTimes,
+      [cityId]: mergePrayerTimes(prayerTimes[cityId] || [], [computed])
+    }));
+    console.log(`🧮 Computed prayer times for ${cityId} on ${date} (${computed.method})`);
+    return computed;
+  }
+
+  // Rows for `days` consecutive days. Days without a timetable row are computed for display
+  // only (unlike getPrayerTimesForDate nothing is saved); `missing` marks days we cannot show.
+  async function getPrayerTimesForRange(cityId, fromDate, days) {
+    const city = await getCity(cityId);
+    const rows = await loadCityPrayerTimes(city.id);
+    const byDate = new Map(rows.map(row => [row.date, row]));
+    const result = [];
+    for (let i = 0; i < days; i++) {
+      const date = addDays(fromDate, i);
+      const row = byDate.get(date) || (hasCoordinates(city) ? computeCityPrayerTimes(city, date) : null);
+      result.push(row || { date, missing: true });
+    }
+    return result;
+  }
+
+  // The files kept outside the storage backend
+  async function load() {
+    await loadAppConfig();
+    await loadAdmins();
+    await loadContentLibrary();
+    await loadTemplates();
+    await loadConversations();
+    await loadDeliveryStats();
+  }
+
+  return {
+    load,
+    appendAuditLog,
+    readAuditLog,
+    appendSubscriberEvent,
+    readSubscriberEvents,
+    recordDelivery,
+    saveDeliveryStats,
+    getDeliveryStats: () => deliveryStats,
+    addSubscriber,
+    updateSubscriber,
+    removeSubscriber,
+    loadSubscribersCache,
+    getSubscriberCityId,
+    savePrayerTimes,
+    loadPrayerTimesCache,
+    loadCityPrayerTimes,
+    updatePrayerTimes,
+    fillMissingPrayerTimes,
+    getPrayerTimesForDate,
+    getPrayerTimesForRange,
+    getCacheStatus: () => ({ prayerCacheTimestamp, subscribersCacheTimestamp, prayerTimesLastModified }),
+    loadCities,
+    getCityTimezone,
+    getCityDateTime,
+    setCityJumuahTime,
+    saveCities,
+    getCity,
+    getAppConfig: () => appConfig,
+    updateHijriConfig,
+    getHijriDate,
+    formatHijriDate,
+    isRamadanDate,
+    getAdmins: () => admins,
+    isEnvOwner,
+    getAdminRole,
+    hasPermission,
+    setAdminRole,
+    removeAdmin,
+    getContentLibrary: () => contentLibrary,
+    upsertContentItem,
+    removeContentItem,
+    getDailyContent,
+    getTemplates: () => templates,
+    setTemplate,
+    resetTemplate,
+    formatNotification,
+    previewTemplate,
+    getConversation,
+    setConversation,
+    clearConversation,
+    exportChatData,
+    forgetChat,
+  };
+}
+
+module.exports = {
+  createStore,
+  getCityName,
+  getJumuahTime,
+  isValidHijriConfig,
+  validateContentItem,
+  getContentText,
+  HIJRI_OFFSET_LIMIT,
+  RAMADAN_MODES,
+  ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+  CONTENT_TYPES,
+  CONTENT_MAX_LENGTH,
+};
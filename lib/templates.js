@@ -0,0 +1,68 @@
+// Admin-editable message templates for the adhan and reminder notifications.
+// An id is a notification type ("adhan", "reminder"), optionally narrowed to one prayer ("reminder.isha")
+// or to the Jumu'ah that replaces the Friday dhuhr ("adhan.jumuah"). Templates are kept per language; a language without a
+// template keeps the built-in text of the locale.
+const { SUPPORTED_LANGUAGES } = require('./i18n');
+const { prayerOrder } = require('./prayerTimes');
+
+const TEMPLATE_TYPES = ['adhan', 'reminder'];
+const TEMPLATE_SCOPES = [...prayerOrder, 'jumuah'];
+const TEMPLATE_IDS = TEMPLATE_TYPES.flatMap(type => [type, ...TEMPLATE_SCOPES.map(scope => `${type}.${scope}`)]);
+const TEMPLATE_MAX_LENGTH = 1000;
+const TEMPLATE_PLACEHOLDERS = {
+  adhan: ['prayer', 'time', 'city', 'hijri', 'date'],
+  reminder: ['prayer', 'time', 'minutes', 'city', 'hijri', 'date']
+};
+
+function getTemplateType(id) {
+  return id.split('.')[0];
+}
+
+// Template ids that apply to a notification, most specific first. isJumuah: the scheduler sends this
+// dhuhr as Jumu'ah (a Friday, with the subscriber's Jumu'ah mode on)
+function getTemplateIds(type, prayerKey, isJumuah = false) {
+  const ids = [`${type}.${prayerKey}`, type];
+  return isJumuah ? [`${type}.jumuah`, ...ids] : ids;
+}
+
+// Returns the {name} placeholders used in a text
+function getPlaceholders(text) {
+  return [...new Set([...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]))];
+}
+
+// Returns a list of problems with a template (empty when valid). text: { ar?, fr?, en? }
+function validateTemplate(id, text) {
+  if (!TEMPLATE_IDS.includes(id)) {
+    return [`Unknown template "${id}". Expected one of: ${TEMPLATE_IDS.join(', ')}.`];
+  }
+  if (!text || typeof text !== 'object' || Array.isArray(text) || Object.keys(text).length === 0
+      || Object.entries(text).some(([lang, value]) => !SUPPORTED_LANGUAGES.includes(lang) || typeof value !== 'string' || !value.trim() || value.length > TEMPLATE_MAX_LENGTH)) {
+    return [`Invalid text. Expected non-empty texts (up to ${TEMPLATE_MAX_LENGTH} characters) keyed by language (${SUPPORTED_LANGUAGES.join(', ')}).`];
+  }
+  const allowed = TEMPLATE_PLACEHOLDERS[getTemplateType(id)];
+  const errors = [];
+  for (const [lang, value] of Object.entries(text)) {
+    const unknown = getPlaceholders(value).filter(name => !allowed.includes(name));
+    if (unknown.length > 0) {
+      errors.push(`Unknown placeholders in ${lang}: ${unknown.map(name => `{${name}}`).join(', ')}. Allowed: ${allowed.map(name => `{${name}}`).join(', ')}.`);
+    }
+  }
+  return errors;
+}
+
+// Same placeholder syntax as the locale strings
+function fillTemplate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+module.exports = {
+  TEMPLATE_TYPES,
+  TEMPLATE_SCOPES,
+  TEMPLATE_IDS,
+  TEMPLATE_MAX_LENGTH,
+  TEMPLATE_PLACEHOLDERS,
+  getTemplateType,
+  getTemplateIds,
+  validateTemplate,
+  fillTemplate,
+};
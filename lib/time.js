@@ -0,0 +1,88 @@
+// Dates are YYYY-MM-DD strings and times HH:mm strings on the wall clock of a timezone (an IANA name
+// such as "Africa/Algiers"); instants are milliseconds since the epoch.
+
+// Everything that needs "now" reads it from a clock, so tests can pin the time
+const systemClock = { now: () => new Date() };
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Returns the date (YYYY-MM-DD) and time (HH:mm) shown by a wall clock in `timeZone`
+function getLocalDateTime(timeZone, now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(now);
+  const get = type => parts.find(p => p.type === type).value;
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    time: `${get('hour')}:${get('minute')}`
+  };
+}
+
+// UTC offset (in hours) of a timezone at an instant
+function getUtcOffsetAt(timeZone, instant) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(new Date(instant));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const local = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+  return (local - Math.floor(instant / 60000) * 60000) / 3600000;
+}
+
+// UTC offset (in hours) of a timezone on a given YYYY-MM-DD date, taken at noon UTC
+function getUtcOffsetHours(timeZone, date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return getUtcOffsetAt(timeZone, Date.UTC(year, month - 1, day, 12));
+}
+
+// Instant (ms) of a wall-clock time in `timeZone` on a given date. The offset is looked up twice so
+// times on a daylight saving change day land on the right side of it.
+function localTimeToInstant(timeZone, date, time = '00:00') {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  const guess = wallClock - getUtcOffsetAt(timeZone, wallClock) * 3600000;
+  return wallClock - getUtcOffsetAt(timeZone, guess) * 3600000;
+}
+
+function toMinutes(time) {
+  const [hours, mins] = time.split(':').map(Number);
+  return hours * 60 + mins;
+}
+
+// Subtracts minutes from an HH:mm time (negative minutes add), wrapping around midnight: 00:10 - 20 = 23:50
+function subtractMinutes(time, minutes) {
+  const total = (((toMinutes(time) - minutes) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Day of the week of a date: 0 is Sunday, 5 is Friday
+function getWeekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+module.exports = {
+  systemClock,
+  isValidTimeZone,
+  getLocalDateTime,
+  getUtcOffsetHours,
+  localTimeToInstant,
+  toMinutes,
+  subtractMinutes,
+  addDays,
+  getWeekday,
+};
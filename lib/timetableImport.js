@@ -0,0 +1,325 @@
+const ExcelJS = require('exceljs');
+const { prayerOrder } = require('./prayerTimes');
+
+// Turns an uploaded timetable (CSV, XLSX or the ministry PDF) into prayer_times.json rows:
+// [{ date: 'YYYY-MM-DD', fajr, dhuhr, asr, maghrib, isha }]. Validation is left to the caller
+// (updatePrayerTimes); this module only reports anomalies worth a look before saving.
+const FORMATS = { '.csv': 'csv', '.xlsx': 'xlsx', '.pdf': 'pdf' };
+const MAX_DAILY_CHANGE_MINUTES = 10;
+
+// Header labels seen in ministry and mosque timetables, compared after normalizeLabel()
+const COLUMN_ALIASES = {
+  date: ['date', 'التاريخ'],
+  day: ['day', 'jour', 'اليوم'],
+  fajr: ['fajr', 'fadjr', 'sobh', 'subh', 'الفجر', 'الصبح'],
+  sunrise: ['sunrise', 'shuruq', 'shourouk', 'chourouk', 'chorouk', 'الشروق'],
+  dhuhr: ['dhuhr', 'dhohr', 'dohr', 'duhr', 'zuhr', 'thohr', 'الظهر'],
+  asr: ['asr', 'العصر'],
+  maghrib: ['maghrib', 'maghreb', 'المغرب'],
+  isha: ['isha', 'ishaa', 'icha', 'العشاء']
+};
+
+const MONTH_NAMES = [
+  ['january', 'janvier', 'جانفي', 'يناير'],
+  ['february', 'fevrier', 'فيفري', 'فبراير'],
+  ['march', 'mars', 'مارس'],
+  ['april', 'avril', 'أفريل', 'أبريل'],
+  ['may', 'mai', 'ماي', 'مايو'],
+  ['june', 'juin', 'جوان', 'يونيو'],
+  ['july', 'juillet', 'جويلية', 'يوليو'],
+  ['august', 'aout', 'أوت', 'أغسطس'],
+  ['september', 'septembre', 'سبتمبر'],
+  ['october', 'octobre', 'أكتوبر'],
+  ['november', 'novembre', 'نوفمبر'],
+  ['december', 'decembre', 'ديسمبر']
+];
+
+const TIME_TOKEN = /^(\d{1,2})\s*[:hH.]\s*(\d{2})$/;
+const FULL_DATE_TOKEN = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$|^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/;
+
+// 'csv', 'xlsx', 'pdf' or null, from the file name (Telegram mime types are not reliable for CSV)
+function getTimetableFormat(filename) {
+  const match = /\.[a-z]+$/i.exec(filename || '');
+  return match ? FORMATS[match[0].toLowerCase()] || null : null;
+}
+
+// Lowercase without accents, so "Février" matches "fevrier"
+function normalizeText(text) {
+  return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// "El Asr", "Al-Maghrib" and "Maghrib" all become "maghrib"
+function normalizeLabel(label) {
+  return normalizeText(label).replace(/[^a-z\u0600-\u06ff]/g, '').replace(/^(al|el)(?=[a-z]{3})/, '');
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function toTime(hours, minutes) {
+  hours = Number(hours);
+  minutes = Number(minutes);
+  return hours < 24 && minutes < 60 ? `${pad(hours)}:${pad(minutes)}` : null;
+}
+
+function toDate(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return date.getUTCDate() === Number(day) && date.getUTCMonth() === Number(month) - 1
+    ? date.toISOString().slice(0, 10)
+    : null;
+}
+
+// exceljs returns rich text, formula and hyperlink cells as objects
+function cellValue(value) {
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.text !== undefined) return value.text;
+  }
+  return value;
+}
+
+function parseTime(value) {
+  value = cellValue(value);
+  if (value instanceof Date) return toTime(value.getUTCHours(), value.getUTCMinutes());
+  if (typeof value === 'number' && value >= 0 && value < 1) {
+    const minutes = Math.round(value * 24 * 60);
+    return toTime(Math.floor(minutes / 60), minutes % 60);
+  }
+  const match = TIME_TOKEN.exec(String(value === undefined || value === null ? '' : value).trim());
+  return match ? toTime(match[1], match[2]) : null;
+}
+
+// Full dates in any common order, or a bare day of month when `month` ('YYYY-MM') is known
+function parseDate(value, month) {
+  value = cellValue(value);
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'number' && value > 59 && value < 100000) {
+    // Excel serial date (days since 1899-12-30)
+    return new Date(Date.UTC(1899, 11, 30) + Math.round(value) * 86400000).toISOString().slice(0, 10);
+  }
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  const match = FULL_DATE_TOKEN.exec(text);
+  if (match) return match[1] ? toDate(match[1], match[2], match[3]) : toDate(match[6], match[5], match[4]);
+  if (month && /^\d{1,2}$/.test(text)) {
+    const [year, monthNumber] = month.split('-');
+    return toDate(year, monthNumber, text);
+  }
+  return null;
+}
+
+// Looks for "<month name> <year>" (e.g. a PDF title) and returns 'YYYY-MM'
+function detectMonth(text) {
+  const normalized = normalizeText(text);
+  for (let i = 0; i < MONTH_NAMES.length; i++) {
+    for (const name of MONTH_NAMES[i]) {
+      const match = new RegExp(`(?:^|[^a-z\\u0600-\\u06ff])${normalizeText(name)}\\s*(\\d{4})`).exec(normalized);
+      if (match) return `${match[1]}-${pad(i + 1)}`;
+    }
+  }
+  return null;
+}
+
+// Maps column index -> field when `cells` is a header row, or returns null
+function findHeader(cells) {
+  const columns = {};
+  cells.forEach((cell, index) => {
+    const label = normalizeLabel(cellValue(cell) || '');
+    const field = Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].some(alias => normalizeLabel(alias) === label));
+    if (field && !Object.values(columns).includes(field)) columns[index] = field;
+  });
+  const prayers = Object.values(columns).filter(field => prayerOrder.includes(field));
+  return prayers.length === prayerOrder.length ? columns : null;
+}
+
+// A row without a header: one date (or day of month) and five prayer times, or six with sunrise
+// second. Right-to-left tables come out reversed, which shows as times running backwards.
+function parseLooseRow(tokens, month) {
+  let date = null;
+  let day = null;
+  let times = [];
+  for (const token of tokens) {
+    const time = parseTime(token);
+    if (time) {
+      times.push(time);
+      continue;
+    }
+    const value = cellValue(token);
+    const text = String(value).trim();
+    // Bare numbers are never read as Excel serial dates here, they are more likely row or day numbers
+    if (!date && typeof value !== 'number') date = parseDate(token, null);
+    if (!day && /^\d{1,2}$/.test(text) && Number(text) >= 1 && Number(text) <= 31) day = text;
+  }
+  if (times.length < prayerOrder.length) return null;
+  if (times.length > prayerOrder.length + 1) times = times.slice(0, prayerOrder.length + 1);
+  if (times[0] > times[1]) times.reverse();
+  if (times.length === prayerOrder.length + 1) times.splice(1, 1);
+  date = date || (day && parseDate(day, month));
+  if (!date) return { skipped: true };
+  return { date, ...Object.fromEntries(prayerOrder.map((key, i) => [key, times[i]])) };
+}
+
+// Shared by every format: `table` is an array of rows of cells (PDF lines split on whitespace)
+function parseTable(table, month) {
+  const rows = [];
+  let skipped = 0;
+  let columns = null;
+  for (const cells of table) {
+    if (!columns) {
+      columns = findHeader(cells);
+      if (columns) continue;
+    }
+    let row;
+    if (columns) {
+      const fields = {};
+      for (const [index, field] of Object.entries(columns)) fields[field] = cells[index];
+      const date = parseDate(fields.date, month) || parseDate(fields.day, month);
+      const times = Object.fromEntries(prayerOrder.map(key => [key, parseTime(fields[key])]));
+      if (Object.values(times).some(time => !time)) {
+        if (Object.values(times).some(Boolean)) skipped++;
+        continue;
+      }
+      row = date ? { date, ...times } : { skipped: true };
+    } else {
+      row = parseLooseRow(cells, month);
+      if (!row) continue;
+    }
+    if (row.skipped) skipped++;
+    else rows.push(row);
+  }
+  return { rows, skipped };
+}
+
+function parseCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function parseCsv(buffer, month) {
+  const lines = buffer.toString('utf8').replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  // Spreadsheets saved with a French locale use ";" because "," is the decimal separator
+  const sample = lines.slice(0, 5).join('\n');
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    sample.split(candidate).length > sample.split(best).length ? candidate : best, ',');
+  return parseTable(lines.map(line => parseCsvLine(line, delimiter)), month || detectMonth(sample));
+}
+
+async function parseXlsx(buffer, month) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { rows: [], skipped: 0 };
+  const table = [];
+  sheet.eachRow(row => {
+    // row.values is 1-based
+    table.push(row.values.slice(1));
+  });
+  month = month || detectMonth(table.slice(0, 5).map(cells => cells.map(cellValue).join(' ')).join('\n'));
+  return parseTable(table, month);
+}
+
+// PDF text has no table structure, so text items are grouped into lines by their vertical position
+// and read left to right
+async function readPdfLines(buffer) {
+  // Loaded on first use: pdf.js warns at load time that rendering needs the optional canvas package,
+  // which text extraction does not
+  const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(buffer), isEvalSupported: false, verbosity: 0 }).promise;
+  const lines = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const { items } = await page.getTextContent();
+      const byY = new Map();
+      for (const item of items) {
+        if (!item.str || !item.str.trim()) continue;
+        const y = Math.round(item.transform[5]);
+        if (!byY.has(y)) byY.set(y, []);
+        byY.get(y).push(item);
+      }
+      for (const y of [...byY.keys()].sort((a, b) => b - a)) {
+        lines.push(byY.get(y).sort((a, b) => a.transform[4] - b.transform[4]).map(item => item.str).join(' '));
+      }
+    }
+  } finally {
+    await pdf.destroy();
+  }
+  return lines;
+}
+
+async function parsePdf(buffer, month) {
+  const lines = await readPdfLines(buffer);
+  month = month || detectMonth(lines.join('\n'));
+  const table = lines
+    // Cells may be glued together depending on the PDF
+    .map(line => line.replace(/(\d{1,2}[:hH]\d{2})(?=\d)/g, '$1 ').split(/\s+/).filter(Boolean));
+  return parseTable(table, month);
+}
+
+// Gaps in the covered months and day-to-day jumps that usually mean a typo or a shifted column
+function findAnomalies(rows) {
+  const anomalies = [];
+  if (rows.length === 0) return anomalies;
+  const sorted = [...rows].sort((a, b) => a.date.localeCompare(b.date));
+  const dates = new Set(sorted.map(row => row.date));
+
+  const [firstYear, firstMonth] = sorted[0].date.split('-').map(Number);
+  const [lastYear, lastMonth] = sorted[sorted.length - 1].date.split('-').map(Number);
+  const missing = [];
+  for (let day = new Date(Date.UTC(firstYear, firstMonth - 1, 1)); day < new Date(Date.UTC(lastYear, lastMonth, 1)); day.setUTCDate(day.getUTCDate() + 1)) {
+    const date = day.toISOString().slice(0, 10);
+    if (!dates.has(date)) missing.push(date);
+  }
+  if (missing.length > 0) anomalies.push({ type: 'missingDays', dates: missing });
+
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    const row = sorted[i];
+    if (Date.parse(row.date) - Date.parse(previous.date) !== 86400000) continue;
+    for (const prayer of prayerOrder) {
+      const minutes = time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+      if (Math.abs(minutes(row[prayer]) - minutes(previous[prayer])) > MAX_DAILY_CHANGE_MINUTES) {
+        anomalies.push({ type: 'jump', date: row.date, prayer, from: previous[prayer], to: row[prayer] });
+      }
+    }
+  }
+  return anomalies;
+}
+
+// Resolves with { rows, anomalies }. `month` ('YYYY-MM') is needed when the file only lists days of
+// the month and names no "<month> <year>" itself.
+async function parseTimetableFile(buffer, { filename, month = null } = {}) {
+  const format = getTimetableFormat(filename);
+  const parsers = { csv: parseCsv, xlsx: parseXlsx, pdf: parsePdf };
+  if (!format) throw new Error(`Unsupported timetable file "${filename}".`);
+  const { rows, skipped } = await parsers[format](buffer, month);
+  const anomalies = findAnomalies(rows);
+  if (skipped > 0) anomalies.push({ type: 'skippedRows', count: skipped });
+  return { rows, anomalies };
+}
+
+module.exports = { parseTimetableFile, getTimetableFormat };
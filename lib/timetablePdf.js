@@ -0,0 +1,76 @@
+const PDFDocument = require('pdfkit');
+
+// The built-in PDF fonts only cover Latin script, so the printable timetable uses English labels
+const COLUMNS = [
+  { key: 'date', label: 'Date', width: 80 },
+  { key: 'day', label: 'Day', width: 75 },
+  { key: 'fajr', label: 'Fajr', width: 68 },
+  { key: 'dhuhr', label: 'Dhuhr', width: 68 },
+  { key: 'asr', label: 'Asr', width: 68 },
+  { key: 'maghrib', label: 'Maghrib', width: 68 },
+  { key: 'isha', label: 'Isha', width: 68 }
+];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ROW_HEIGHT = 20;
+
+// Renders one A4 page per month. `rows` are timetable rows ({ date, fajr, ..., source });
+// computed rows are marked with an asterisk. Resolves with the PDF as a Buffer.
+function renderMonthlyTimetablePdf({ title, subtitle, rows }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const tableWidth = COLUMNS.reduce((sum, column) => sum + column.width, 0);
+    const left = (doc.page.width - tableWidth) / 2;
+
+    doc.font('Helvetica-Bold').fontSize(18).text(title, { align: 'center' });
+    if (subtitle) {
+      doc.moveDown(0.3).font('Helvetica').fontSize(11).fillColor('#555555').text(subtitle, { align: 'center' });
+    }
+    doc.fillColor('#000000').moveDown(1);
+
+    let y = doc.y;
+    const drawRow = (cells, { bold = false, fill = null } = {}) => {
+      if (fill) {
+        doc.rect(left, y, tableWidth, ROW_HEIGHT).fill(fill);
+        doc.fillColor('#000000');
+      }
+      doc.rect(left, y, tableWidth, ROW_HEIGHT).lineWidth(0.5).strokeColor('#999999').stroke();
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+      let x = left;
+      for (const column of COLUMNS) {
+        doc.text(cells[column.key] || '', x, y + 6, { width: column.width, align: 'center', lineBreak: false });
+        x += column.width;
+      }
+      y += ROW_HEIGHT;
+    };
+
+    drawRow(Object.fromEntries(COLUMNS.map(column => [column.key, column.label])), { bold: true, fill: '#dde8dd' });
+    let hasComputed = false;
+    for (const row of rows) {
+      const weekday = new Date(`${row.date}T00:00:00Z`).getUTCDay();
+      const computed = row.source === 'computed';
+      hasComputed = hasComputed || computed;
+      drawRow({
+        date: computed ? `${row.date}*` : row.date,
+        day: DAY_NAMES[weekday],
+        fajr: row.fajr,
+        dhuhr: row.dhuhr,
+        asr: row.asr,
+        maghrib: row.maghrib,
+        isha: row.isha
+      }, { fill: weekday === 5 ? '#f3f3f3' : null });
+    }
+
+    if (hasComputed) {
+      doc.font('Helvetica').fontSize(8).fillColor('#555555')
+        .text('* Computed astronomically (no official timetable row for this date).', left, y + 8, { width: tableWidth });
+    }
+    doc.end();
+  });
+}
+
+module.exports = { renderMonthlyTimetablePdf };
@@ -0,0 +1,51 @@
+// One-shot migration of subscribers, prayer times and cities from the JSON files in DATA_PATH
+// into the SQLite database used by STORAGE_BACKEND=sqlite.
+//   npm run migrate:sqlite             refuses to touch a database that already has data
+//   npm run migrate:sqlite -- --force  replaces whatever the database contains
+require('dotenv').config();
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+const DATA_PATH = process.env.DATA_PATH || path.join(__dirname, '..', 'data');
+const DEFAULT_CITY_ID = process.env.DEFAULT_CITY_ID || 'ain-salah';
+
+async function migrate({ force }) {
+  const source = createStorage({ backend: 'json', dataPath: DATA_PATH, defaultCityId: DEFAULT_CITY_ID });
+  const target = createStorage({ backend: 'sqlite', dataPath: DATA_PATH, sqlitePath: process.env.SQLITE_PATH, defaultCityId: DEFAULT_CITY_ID });
+
+  try {
+    const existingSubscribers = await target.getSubscribers();
+    const existingPrayerTimes = await target.getPrayerTimes();
+    if (!force && (existingSubscribers.length > 0 || Object.keys(existingPrayerTimes).length > 0)) {
+      console.error('❌ The SQLite database already contains data. Re-run with --force to overwrite it.');
+      return false;
+    }
+
+    // Very old subscriber files are a plain array of chat ids; the app fills in settings on first load
+    const subscribers = (await source.getSubscribers())
+      .map(s => (typeof s === 'number' ? { chatId: s } : s))
+      .filter(s => s && typeof s.chatId !== 'undefined');
+    const prayerTimes = await source.getPrayerTimes();
+    const cities = await source.getCities();
+
+    await target.replaceSubscribers(subscribers);
+    await target.savePrayerTimes(prayerTimes);
+    if (cities) {
+      await target.saveCities(cities);
+    }
+
+    const rowCount = Object.values(prayerTimes).reduce((total, rows) => total + rows.length, 0);
+    console.log(`✅ Migrated ${subscribers.length} subscribers, ${rowCount} prayer time rows and ${cities ? cities.length : 0} cities to SQLite.`);
+    console.log('ℹ️ Set STORAGE_BACKEND=sqlite and restart the bot to use the new database. The JSON files are kept as a backup.');
+    return true;
+  } finally {
+    await target.close();
+  }
+}
+
+migrate({ force: process.argv.includes('--force') })
+  .then(ok => { process.exitCode = ok ? 0 : 1; })
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  });
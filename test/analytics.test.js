@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv } = require('../lib/analytics');
+
+test('toCsv keeps user-chosen text from running as a formula', () => {
+  const csv = toCsv(['chat_id', 'username'], [
+    [-1001234, '=HYPERLINK("http://example.com","click")'],
+    [42, '@admin'],
+    [43, 'plain, with a comma']
+  ]);
+  assert.equal(csv, [
+    'chat_id,username',
+    '-1001234,"\'=HYPERLINK(""http://example.com"",""click"")"',
+    '42,\'@admin',
+    '43,"plain, with a comma"',
+    ''
+  ].join('\r\n'));
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createApiAuth } = require('../lib/http/auth');
+const { createFakeClock } = require('./helpers/fakeTelegram');
+
+const SECRET = 'test-secret';
+const START = Date.parse('2026-03-02T08:00:00Z');
+
+// A signed POST as the middleware sees it; returns the HTTP status, or 'next' when the request is let through
+function send(requireApiAuth, timestamp, body = '{"a":1}') {
+  const signature = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${timestamp}.POST./api/update_times.${body}`).digest('hex');
+  const headers = { 'x-timestamp': String(timestamp), 'x-signature': signature };
+  const req = { method: 'POST', originalUrl: '/api/update_times', rawBody: Buffer.from(body), ip: '127.0.0.1', get: name => headers[name] };
+  let status = 'next';
+  const res = { status: code => ({ json: () => { status = code; } }) };
+  requireApiAuth(req, res, () => {});
+  return status;
+}
+
+test('an HMAC-signed request is accepted once within the timestamp window', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const clock = createFakeClock(START);
+  const requireApiAuth = createApiAuth({ ADMIN_API_TOKENS: [], ADMIN_API_HMAC_SECRET: SECRET, clock });
+
+  assert.equal(send(requireApiAuth, START), 'next');
+  assert.equal(send(requireApiAuth, START), 401);
+  // The same body signed at another time is a new request
+  assert.equal(send(requireApiAuth, START + 1), 'next');
+
+  clock.set(START + 6 * 60 * 1000);
+  assert.equal(send(requireApiAuth, START), 401);
+  assert.equal(send(requireApiAuth, START + 6 * 60 * 1000), 'next');
+});
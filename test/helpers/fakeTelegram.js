@@ -0,0 +1,33 @@
+const { EventEmitter } = require('events');
+
+// Stands in for node-telegram-bot-api: records what would be sent instead of calling Telegram.
+// `failFor` maps chat ids to the HTTP status Telegram should answer with (e.g. 403 for a blocked bot).
+function createFakeTelegram({ failFor = {} } = {}) {
+  const bot = new EventEmitter();
+  bot.sent = [];
+  let messageId = 0;
+
+  bot.sendMessage = async (chatId, text, options = {}) => {
+    if (failFor[chatId]) {
+      const error = new Error(`ETELEGRAM: ${failFor[chatId]}`);
+      error.response = { statusCode: failFor[chatId], body: { description: 'Forbidden: bot was blocked by the user' } };
+      throw error;
+    }
+    bot.sent.push({ chatId, text, options });
+    return { message_id: ++messageId, chat: { id: chatId } };
+  };
+  bot.onText = () => {};
+  bot.isPolling = () => false;
+  return bot;
+}
+
+// A clock that only moves when told to
+function createFakeClock(start) {
+  let current = new Date(start).getTime();
+  return {
+    now: () => new Date(current),
+    set: time => { current = new Date(time).getTime(); },
+  };
+}
+
+module.exports = { createFakeTelegram, createFakeClock };
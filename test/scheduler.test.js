@@ -0,0 +1,229 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { createStorage } = require('../lib/storage');
+const { createStore } = require('../lib/store');
+const { createScheduler } = require('../lib/scheduler');
+const { createDefaultSettings } = require('../lib/settings');
+const { localTimeToInstant, addDays } = require('../lib/time');
+const { createFakeTelegram, createFakeClock } = require('./helpers/fakeTelegram');
+
+const DATE = '2026-03-02';
+const TIMES = { date: DATE, fajr: '05:10', dhuhr: '12:40', asr: '16:00', maghrib: '18:30', isha: '19:50' };
+const at = (time, date = DATE) => localTimeToInstant('Africa/Algiers', date, time);
+
+function createMetrics() {
+  return { notificationsSent: 0, notificationsFailed: 0, notificationsDeduped: 0 };
+}
+
+// A store on a fresh data directory with one subscriber and today's official timetable
+async function setup(t, { failFor, rows = [TIMES] } = {}) {
+  // The scheduler logs every step; on stdout that output can garble the test runner's own messages
+  t.mock.method(console, 'log', () => {});
+  const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'praybot-test-'));
+  t.after(() => fs.rmSync(dataPath, { recursive: true, force: true }));
+  const config = loadConfig({ DATA_PATH: dataPath });
+  const storage = createStorage({ backend: 'json', dataPath, defaultCityId: config.DEFAULT_CITY_ID });
+  const clock = createFakeClock(at('04:00'));
+  const store = createStore({ config, storage, clock });
+  await store.load();
+  await store.updatePrayerTimes({ [config.DEFAULT_CITY_ID]: rows }, { mode: 'merge' });
+  await store.addSubscriber({ chatId: 42, chatType: 'private', username: 'tester', settings: createDefaultSettings(config.DEFAULT_CITY_ID, 'en') });
+
+  const newScheduler = (bot = createFakeTelegram({ failFor })) => {
+    const metrics = createMetrics();
+    return { bot, metrics, scheduler: createScheduler({ config, store, bot, clock, metrics }) };
+  };
+  return { config, store, clock, dataPath, newScheduler };
+}
+
+test('sends a due notification exactly once', async (t) => {
+  const { clock, newScheduler } = await setup(t);
+  const { bot, scheduler } = newScheduler();
+  await scheduler.buildDailyQueue();
+  assert.equal(scheduler.getQueue().length, 10);
+
+  clock.set(at('05:10'));
+  await scheduler.tick();
+  const adhan = bot.sent.filter(m => m.chatId === 42 && m.text.includes('Fajr'));
+  assert.equal(adhan.length, 1);
+  assert.ok(adhan[0].text.includes('05:10'));
+
+  await scheduler.tick();
+  assert.equal(bot.sent.length, 1);
+});
+
+test('skips notifications already sent before a restart', async (t) => {
+  const { clock, dataPath, newScheduler } = await setup(t);
+  const first = newScheduler();
+  await first.scheduler.buildDailyQueue();
+  // The queue as it was on disk before the tick, as if the process died before saving it again
+  const queueFile = path.join(dataPath, 'notification_queue.json');
+  const savedQueue = fs.readFileSync(queueFile, 'utf8');
+
+  clock.set(at('05:10'));
+  await first.scheduler.tick();
+  assert.equal(first.bot.sent.length, 1);
+
+  fs.writeFileSync(queueFile, savedQueue);
+  const second = newScheduler();
+  await second.scheduler.restore();
+  assert.equal(second.scheduler.getQueue().length, 10);
+  await second.scheduler.tick();
+  assert.equal(second.bot.sent.length, 0);
+  assert.equal(second.metrics.notificationsDeduped, 1);
+});
+
+test('drops notifications missed by more than the grace window', async (t) => {
+  const { config, clock, newScheduler } = await setup(t);
+  const { bot, scheduler } = newScheduler();
+  await scheduler.buildDailyQueue();
+
+  clock.set(at('05:10') + (config.CATCH_UP_GRACE_MINUTES + 1) * 60000);
+  await scheduler.tick();
+  assert.equal(bot.sent.length, 0);
+  assert.ok(scheduler.getQueue().every(item => item.sendAt > at('05:10')));
+});
+
+test('rescheduling replaces only the upcoming notifications of the subscriber', async (t) => {
+  const { clock, store, newScheduler } = await setup(t);
+  const { scheduler } = newScheduler();
+  await scheduler.buildDailyQueue();
+
+  clock.set(at('13:00'));
+  await store.updateSubscriber(42, subscriber => {
+    subscriber.settings.prayers.fajr.reminders = [30];
+    subscriber.settings.prayers.isha.reminders = [20];
+  });
+  await scheduler.rescheduleUserNotifications(42);
+
+  const queue = scheduler.getQueue().filter(item => item.chatId === 42);
+  const sendTimes = queue.map(item => item.localTime);
+  // Past items stay as they were, the fajr change only applies from tomorrow
+  assert.ok(sendTimes.includes('05:05'));
+  assert.ok(!sendTimes.includes('04:40'));
+  // Upcoming items follow the new settings
+  assert.ok(sendTimes.includes('19:30'));
+  assert.ok(!sendTimes.includes('19:45'));
+  assert.equal(queue.filter(item => item.sendAt > at('13:00')).length, 6);
+});
+
+test('removes subscribers that blocked the bot', async (t) => {
+  const { clock, store, newScheduler } = await setup(t, { failFor: { 42: 403 } });
+  const { scheduler, metrics } = newScheduler();
+  await scheduler.buildDailyQueue();
+
+  clock.set(at('05:10'));
+  await scheduler.tick();
+  assert.equal(metrics.notificationsFailed, 1);
+  assert.deepEqual(await store.loadSubscribersCache(), []);
+  assert.equal(scheduler.getQueue().length, 0);
+});
+
+test('sends a reminder before an isha after midnight on the evening before', async (t) => {
+  const { clock, store, newScheduler } = await setup(t, { rows: [{ ...TIMES, isha: '00:10' }] });
+  await store.updateSubscriber(42, subscriber => {
+    subscriber.settings.prayers.isha.reminders = [30];
+  });
+  const { bot, scheduler } = newScheduler();
+  await scheduler.buildDailyQueue();
+  const reminder = scheduler.getQueue().find(item => item.type === 'reminder' && item.dedupKey.includes(':isha:'));
+  assert.equal(reminder.sendAt, at('23:40'));
+
+  clock.set(at('23:40'));
+  await scheduler.tick();
+  assert.equal(bot.sent.length, 1);
+  assert.ok(bot.sent[0].text.includes('00:10'));
+
+  // The adhan itself is queued by the next day's build
+  const nextDay = addDays(DATE, 1);
+  clock.set(at('00:05', nextDay));
+  await scheduler.buildDailyQueue();
+  clock.set(at('00:10', nextDay));
+  await scheduler.tick();
+  assert.equal(bot.sent.length, 2);
+  assert.ok(bot.sent[1].text.includes('Isha'));
+});
+
+test('queues a reminder before an early fajr from the next day\'s timetable', async (t) => {
+  const nextDay = addDays(DATE, 1);
+  const { clock, store, newScheduler } = await setup(t, {
+    rows: [TIMES, { ...TIMES, date: nextDay, fajr: '00:20' }]
+  });
+  await store.updateSubscriber(42, subscriber => {
+    subscriber.settings.prayers.fajr.reminders = [30];
+  });
+  const { bot, scheduler } = newScheduler();
+  await scheduler.buildDailyQueue();
+
+  clock.set(at('23:50'));
+  await scheduler.tick();
+  assert.equal(bot.sent.length, 1);
+  assert.ok(bot.sent[0].text.includes('Fajr') && bot.sent[0].text.includes('00:20'));
+});
+
+test('on Fridays, announces Jumu\'ah at the city\'s time with a khutbah reminder and Surat al-Kahf', async (t) => {
+  const friday = '2026-03-06';
+  const { config, clock, store, newScheduler } = await setup(t, { rows: [{ ...TIMES, date: friday }] });
+  await store.setCityJumuahTime(config.DEFAULT_CITY_ID, '13:15', 'test');
+  await store.updateSubscriber(42, subscriber => {
+    subscriber.settings.jumuah = { adhan: true, khutbah: true, khutbahMinutes: 45, kahf: true, kahfWhen: 'friday' };
+  });
+  clock.set(at('04:00', friday));
+  const { scheduler } = newScheduler();
+  await scheduler.buildDailyQueue();
+  const queue = scheduler.getQueue();
+
+  const adhan = queue.find(item => item.type === 'adhan' && item.dedupKey.includes(':dhuhr:'));
+  assert.equal(adhan.sendAt, at('13:15', friday));
+  assert.ok(adhan.message.includes('13:15'));
+  const khutbah = queue.find(item => item.dedupKey.includes(':khutbah:'));
+  assert.equal(khutbah.sendAt, at('12:30', friday));
+  const kahf = queue.find(item => item.dedupKey.includes(':kahf:'));
+  assert.equal(kahf.sendAt, at('06:10', friday));
+
+  // The other days are left alone
+  await store.updatePrayerTimes({ [config.DEFAULT_CITY_ID]: [TIMES] }, { mode: 'merge' });
+  clock.set(at('04:00'));
+  await scheduler.buildDailyQueue();
+  assert.ok(scheduler.getQueue().every(item => !/:(khutbah|kahf):/.test(item.dedupKey)));
+  assert.equal(scheduler.getQueue().find(item => item.type === 'adhan' && item.dedupKey.includes(':dhuhr:')).sendAt, at('12:40'));
+});
+
+test('forgetting a chat drops its queue and its dedup keys', async (t) => {
+  const { config, clock, store, dataPath, newScheduler } = await setup(t);
+  await store.addSubscriber({ chatId: 43, chatType: 'private', username: 'other', settings: createDefaultSettings(config.DEFAULT_CITY_ID, 'en') });
+  const { scheduler } = newScheduler();
+  await scheduler.buildDailyQueue();
+  clock.set(at('05:10'));
+  await scheduler.tick();
+  assert.equal(scheduler.getStatus().sentTracked, 2);
+
+  await scheduler.forgetChat(42);
+  assert.ok(scheduler.getQueue().length > 0 && scheduler.getQueue().every(item => item.chatId === 43));
+  assert.equal(scheduler.getStatus().sentTracked, 1);
+  const sentLog = fs.readFileSync(path.join(dataPath, 'sent_notifications.log'), 'utf8');
+  assert.ok(!sentLog.includes(':42:'));
+  assert.ok(sentLog.includes(':43:'));
+});
+
+test('with Jumu\'ah mode off, the Friday dhuhr keeps the dhuhr wording and template', async (t) => {
+  const friday = '2026-03-06';
+  const { config, clock, store, newScheduler } = await setup(t, { rows: [{ ...TIMES, date: friday }] });
+  await store.setCityJumuahTime(config.DEFAULT_CITY_ID, '13:15', 'test');
+  await store.setTemplate('adhan.jumuah', { en: 'Jumu\'ah template at {time}' }, 'test');
+  await store.updateSubscriber(42, subscriber => {
+    subscriber.settings.jumuah = { ...subscriber.settings.jumuah, adhan: false };
+  });
+  clock.set(at('04:00', friday));
+  const { scheduler } = newScheduler();
+  await scheduler.buildDailyQueue();
+
+  const adhan = scheduler.getQueue().find(item => item.type === 'adhan' && item.dedupKey.includes(':dhuhr:'));
+  assert.equal(adhan.sendAt, at('12:40', friday));
+  assert.ok(adhan.message.includes('12:40'));
+  assert.ok(!adhan.message.includes('Jumu'));
+});
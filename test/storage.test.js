@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { createStorage } = require('../lib/storage');
+const { createStore } = require('../lib/store');
+const { createDefaultSettings } = require('../lib/settings');
+const { writeFileAtomic } = require('../lib/storage/fileUtils');
+
+function createDataPath(t) {
+  const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'praybot-test-'));
+  t.after(() => fs.rmSync(dataPath, { recursive: true, force: true }));
+  return dataPath;
+}
+
+test('concurrent atomic writes to one file all succeed and leave no temp files', async (t) => {
+  const dataPath = createDataPath(t);
+  const filePath = path.join(dataPath, 'state.json');
+  await Promise.all([1, 2, 3, 4].map(n => writeFileAtomic(filePath, JSON.stringify({ n }))));
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { n: 4 });
+  assert.deepEqual(fs.readdirSync(dataPath), ['state.json']);
+});
+
+test('migrating old subscribers does not drop a subscriber added meanwhile', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dataPath = createDataPath(t);
+  // Subscribers used to be a plain list of chat ids
+  fs.writeFileSync(path.join(dataPath, 'subscribers.json'), JSON.stringify([1, 2]));
+  const config = loadConfig({ DATA_PATH: dataPath });
+  const store = createStore({ config, storage: createStorage({ backend: 'json', dataPath, defaultCityId: config.DEFAULT_CITY_ID }) });
+
+  const [migrated] = await Promise.all([
+    store.loadSubscribersCache(),
+    store.addSubscriber({ chatId: 3, chatType: 'private', username: 'new', settings: createDefaultSettings(config.DEFAULT_CITY_ID, 'en') })
+  ]);
+  assert.deepEqual(migrated.map(s => s.chatId), [1, 2]);
+  const saved = JSON.parse(fs.readFileSync(path.join(dataPath, 'subscribers.json'), 'utf8'));
+  assert.deepEqual(saved.map(s => s.chatId), [1, 2, 3]);
+  assert.ok(saved.every(s => s.settings && s.settings.prayers));
+});
+
+test('a subscriber list mixing old chat ids and new objects is migrated entry by entry', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dataPath = createDataPath(t);
+  fs.writeFileSync(path.join(dataPath, 'subscribers.json'), JSON.stringify([1, 2]));
+  const config = loadConfig({ DATA_PATH: dataPath });
+  const storage = createStorage({ backend: 'json', dataPath, defaultCityId: config.DEFAULT_CITY_ID });
+  // /start handled before the store migrated the file
+  assert.equal(await storage.addSubscriber({ chatId: 3, chatType: 'private', username: 'new', settings: createDefaultSettings(config.DEFAULT_CITY_ID, 'en') }), true);
+  assert.equal(await storage.addSubscriber({ chatId: 1, chatType: 'private', username: 'again', settings: createDefaultSettings(config.DEFAULT_CITY_ID, 'en') }), false);
+
+  const store = createStore({ config, storage });
+  const migrated = await store.loadSubscribersCache();
+  assert.deepEqual(migrated.map(s => s.chatId), [1, 2, 3]);
+  assert.equal(migrated[2].username, 'new');
+  assert.ok(migrated.every(s => s.settings && s.settings.prayers));
+});
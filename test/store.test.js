@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { createStorage } = require('../lib/storage');
+const { createStore } = require('../lib/store');
+const { createDefaultSettings } = require('../lib/settings');
+const { createFakeClock } = require('./helpers/fakeTelegram');
+
+const START = Date.parse('2026-03-02T08:00:00Z');
+
+// A store on a fresh data directory; newStore() opens another one on the same files, as after a restart
+async function setup(t) {
+  t.mock.method(console, 'log', () => {});
+  const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'praybot-test-'));
+  t.after(() => fs.rmSync(dataPath, { recursive: true, force: true }));
+  const config = loadConfig({ DATA_PATH: dataPath });
+  const clock = createFakeClock(START);
+  const newStore = async () => {
+    const storage = createStorage({ backend: 'json', dataPath, defaultCityId: config.DEFAULT_CITY_ID });
+    const store = createStore({ config, storage, clock });
+    await store.load();
+    return store;
+  };
+  return { config, clock, dataPath, newStore };
+}
+
+test('conversations survive a restart and expire', async (t) => {
+  const { clock, newStore } = await setup(t);
+  const store = await newStore();
+  await store.setConversation(42, 'reminderValue', 'isha', 10 * 60000);
+  assert.equal(store.getConversation(42, 'broadcast'), null);
+
+  const restarted = await newStore();
+  assert.equal(restarted.getConversation(42, 'reminderValue').data, 'isha');
+  // Starting another conversation replaces the first one
+  await restarted.setConversation(42, 'broadcast', null, 10 * 60000);
+  assert.equal(restarted.getConversation(42).type, 'broadcast');
+
+  clock.set(START + 10 * 60000);
+  assert.equal(restarted.getConversation(42), null);
+  assert.equal((await newStore()).getConversation(42), null);
+});
+
+test('concurrent conversation changes are all kept', async (t) => {
+  const { newStore } = await setup(t);
+  const store = await newStore();
+  await Promise.all([1, 2, 3, 4].map(chatId => store.setConversation(chatId, 'reminderValue', 'all', 60000)));
+  await Promise.all([store.clearConversation(1), store.setConversation(5, 'broadcast', null, 60000)]);
+
+  const restarted = await newStore();
+  for (const current of [store, restarted]) {
+    assert.deepEqual([1, 2, 3, 4, 5].map(chatId => Boolean(current.getConversation(chatId))), [false, true, true, true, true]);
+  }
+});
+
+test('forgetChat deletes what /stop keeps about a chat', async (t) => {
+  const { config, dataPath, newStore } = await setup(t);
+  const store = await newStore();
+  for (const chatId of [42, 43]) {
+    await store.addSubscriber({ chatId, chatType: 'private', username: `user${chatId}`, settings: createDefaultSettings(config.DEFAULT_CITY_ID, 'en') });
+    await store.appendAuditLog(`telegram:${chatId}`, 'subscriber.settings', `Settings of ${chatId}`, { chatId });
+  }
+  await store.setConversation(42, 'reminderValue', 'all', 60000);
+
+  const exported = await store.exportChatData(42);
+  assert.equal(exported.subscriber.username, 'user42');
+  assert.equal(exported.conversation.type, 'reminderValue');
+  assert.equal(exported.auditLog.length, 1);
+  assert.equal(exported.subscriberEvents.length, 1);
+  assert.equal(exported.auditLog[0].timestamp, new Date(START).toISOString());
+  assert.equal(exported.subscriberEvents[0].timestamp, new Date(START).toISOString());
+
+  const auditLogPath = path.join(dataPath, 'audit_log.jsonl');
+  fs.appendFileSync(auditLogPath, '{"corrupt\n');
+
+  // An entry appended while the log is rewritten is kept, and so is the line that does not parse
+  const [forgotten] = await Promise.all([store.forgetChat(42, 'telegram:42'), store.appendAuditLog('admin:1', 'prayerTimes.update', 'Meanwhile')]);
+  assert.equal(forgotten, true);
+  const auditLog = fs.readFileSync(auditLogPath, 'utf8');
+  assert.ok(auditLog.includes('Meanwhile'));
+  assert.ok(auditLog.includes('{"corrupt\n'));
+  const after = await store.exportChatData(42);
+  assert.equal(after.subscriber, null);
+  assert.equal(after.conversation, null);
+  assert.deepEqual(after.auditLog, []);
+  assert.deepEqual(after.subscriberEvents, []);
+  assert.ok(!auditLog.includes('"chatId":42'));
+  // Other chats are left alone, and the growth stats still count the chat
+  assert.equal((await store.exportChatData(43)).auditLog.length, 1);
+  assert.deepEqual((await store.readSubscriberEvents()).map(event => [event.type, event.chatId]), [['subscribe', null], ['subscribe', 43], ['unsubscribe', null]]);
+
+  assert.equal(await store.forgetChat(42, 'telegram:42'), false);
+});
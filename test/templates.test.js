@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { createStorage } = require('../lib/storage');
+const { createStore } = require('../lib/store');
+const { validateTemplate, getTemplateIds } = require('../lib/templates');
+const { createFakeClock } = require('./helpers/fakeTelegram');
+
+const FRIDAY = '2026-03-06';
+const PARAMS = { prayer: 'Dhuhr', time: '12:40', city: 'In Salah' };
+
+async function createTestStore(t) {
+  t.mock.method(console, 'log', () => {});
+  const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'praybot-test-'));
+  t.after(() => fs.rmSync(dataPath, { recursive: true, force: true }));
+  const config = loadConfig({ DATA_PATH: dataPath });
+  const storage = createStorage({ backend: 'json', dataPath, defaultCityId: config.DEFAULT_CITY_ID });
+  const store = createStore({ config, storage, clock: createFakeClock(Date.parse(`${FRIDAY}T08:00:00Z`)) });
+  await store.load();
+  return store;
+}
+
+test('validateTemplate only accepts the placeholders of the notification type', () => {
+  assert.deepEqual(validateTemplate('reminder.isha', { en: '{prayer} in {minutes} min' }), []);
+  assert.equal(validateTemplate('adhan', { en: '{prayer} in {minutes} min' }).length, 1);
+  assert.equal(validateTemplate('adhan.sunrise', { en: '{prayer}' }).length, 1);
+  assert.equal(validateTemplate('adhan', { de: '{prayer}' }).length, 1);
+});
+
+test('a dhuhr sent as Jumu\'ah looks for a jumuah template first', () => {
+  assert.deepEqual(getTemplateIds('adhan', 'dhuhr', true), ['adhan.jumuah', 'adhan.dhuhr', 'adhan']);
+  assert.deepEqual(getTemplateIds('adhan', 'dhuhr', false), ['adhan.dhuhr', 'adhan']);
+  assert.deepEqual(getTemplateIds('adhan', 'asr'), ['adhan.asr', 'adhan']);
+});
+
+test('notifications use the most specific template of the subscriber\'s language', async (t) => {
+  const store = await createTestStore(t);
+  const format = (prayerKey, date, lang) => store.formatNotification('adhan', { prayerKey, isJumuah: date === FRIDAY, date, lang, params: { ...PARAMS } });
+  const builtIn = format('dhuhr', FRIDAY, 'en');
+
+  await store.setTemplate('adhan', { en: '{prayer} at {time} in {city}' }, 'test');
+  await store.setTemplate('adhan.jumuah', { en: 'Jumu\'ah at {time}, {date}' }, 'test');
+  assert.equal(format('dhuhr', FRIDAY, 'en'), `Jumu'ah at 12:40, ${FRIDAY}`);
+  assert.equal(format('dhuhr', '2026-03-05', 'en'), 'Dhuhr at 12:40 in In Salah');
+  // Languages without a template keep the built-in text
+  assert.ok(format('dhuhr', FRIDAY, 'fr').includes('Dhuhr') && !format('dhuhr', FRIDAY, 'fr').includes('Jumu'));
+
+  assert.equal(await store.resetTemplate('adhan.jumuah', undefined, 'test'), true);
+  await store.resetTemplate('adhan', 'en', 'test');
+  assert.equal(format('dhuhr', FRIDAY, 'en'), builtIn);
+  assert.deepEqual(store.getTemplates(), {});
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { subtractMinutes, addDays, getLocalDateTime, localTimeToInstant } = require('../lib/time');
+const { getPrayerInstants } = require('../lib/prayerTimes');
+
+test('subtractMinutes subtracts within the same day', () => {
+  assert.equal(subtractMinutes('05:30', 15), '05:15');
+  assert.equal(subtractMinutes('13:05', 10), '12:55');
+});
+
+test('subtractMinutes wraps around midnight', () => {
+  assert.equal(subtractMinutes('00:10', 20), '23:50');
+  assert.equal(subtractMinutes('00:00', 1), '23:59');
+  assert.equal(subtractMinutes('01:00', 24 * 60 + 30), '00:30');
+});
+
+test('negative minutes add and wrap forward', () => {
+  assert.equal(subtractMinutes('18:20', -15), '18:35');
+  assert.equal(subtractMinutes('23:50', -20), '00:10');
+});
+
+test('addDays crosses month and year boundaries', () => {
+  assert.equal(addDays('2026-02-28', 1), '2026-03-01');
+  assert.equal(addDays('2026-01-01', -1), '2025-12-31');
+});
+
+test('getLocalDateTime reads the wall clock of a timezone', () => {
+  const now = new Date('2026-03-01T23:30:00Z');
+  assert.deepEqual(getLocalDateTime('Africa/Algiers', now), { date: '2026-03-02', time: '00:30' });
+  assert.deepEqual(getLocalDateTime('America/New_York', now), { date: '2026-03-01', time: '18:30' });
+});
+
+test('localTimeToInstant follows daylight saving changes', () => {
+  assert.equal(localTimeToInstant('Africa/Algiers', '2026-03-02', '00:10'), Date.parse('2026-03-01T23:10:00Z'));
+  assert.equal(localTimeToInstant('Europe/Paris', '2026-03-28', '12:00'), Date.parse('2026-03-28T11:00:00Z'));
+  assert.equal(localTimeToInstant('Europe/Paris', '2026-03-29', '12:00'), Date.parse('2026-03-29T10:00:00Z'));
+});
+
+test('getPrayerInstants moves an isha after midnight to the next day', () => {
+  const row = { date: '2026-06-20', fajr: '03:40', dhuhr: '13:00', asr: '17:10', maghrib: '21:50', isha: '00:10' };
+  const instants = getPrayerInstants(row, 'Africa/Algiers');
+  assert.equal(instants.fajr, Date.parse('2026-06-20T02:40:00Z'));
+  assert.equal(instants.isha, Date.parse('2026-06-20T23:10:00Z'));
+});